@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+import { adminConfig } from './config.js';
+
+// Constant-time comparison, so response timing doesn't leak how much of a key matched
+const keysMatch = (given, expected) => {
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+// Express middleware for admin routes: the request must carry the configured admin key
+// in its x-api-key header. Without a configured key admin routes are switched off.
+export const requireAdminKey = (req, res, next) => {
+  if (!adminConfig.apiKey) {
+    return res.status(503).json({ error: 'Admin API is disabled', message: 'ADMIN_API_KEY is not set' });
+  }
+
+  const given = req.get('x-api-key');
+  if (!given || !keysMatch(given, adminConfig.apiKey)) {
+    return res.status(401).json({ error: 'Invalid or missing API key' });
+  }
+
+  next();
+};
@@ -0,0 +1,93 @@
+// Exact arithmetic on Odin amounts.
+//
+// Odin amounts are integers in base units, usually far beyond Number's 2^53:
+//   - BTC amounts (amount_btc, price, marketcap, volume) in millisatoshis, 1 BTC = 1e11
+//   - token amounts (balance, amount_token, total_supply) with 11 decimals
+// They are kept as BigInt base units through every calculation and only turned into
+// Numbers (BTC, tokens, USD, percentages) at the output edge.
+
+export const BTC_DECIMALS = 11;
+export const TOKEN_DECIMALS = 11;
+
+// Digits kept when dividing two amounts into a plain Number (ratios, prices per token)
+const RATIO_DECIMALS = 24;
+
+const UNITS_PATTERN = /^\d+(\.\d+)?$/;
+
+const pow10 = (decimals) => 10n ** BigInt(decimals);
+
+// Integer division rounded half up (amounts are never negative)
+const divRound = (numerator, denominator) => (numerator * 2n + denominator) / (denominator * 2n);
+
+// Parse a base-unit amount from a string, Number or BigInt. Fractions of a base unit
+// are rounded away. Returns null for anything that is not a non-negative amount.
+export const parseUnits = (raw) => {
+  if (typeof raw === 'bigint') {
+    return raw >= 0n ? raw : null;
+  }
+  const text = typeof raw === 'number' && Number.isFinite(raw)
+    ? raw.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+    : raw;
+  if (typeof text !== 'string' || !UNITS_PATTERN.test(text)) {
+    return null;
+  }
+
+  const [whole, fraction = ''] = text.split('.');
+  return BigInt(whole) + (fraction && fraction[0] >= '5' ? 1n : 0n);
+};
+
+// Base units for a decimal amount written in whole units, e.g. fromDecimal('0.005', BTC_DECIMALS)
+export const fromDecimal = (value, decimals) => {
+  const [whole, fraction = ''] = String(value).split('.');
+  const digits = fraction.padEnd(decimals + 1, '0');
+  const units = BigInt(whole || '0') * pow10(decimals) + BigInt(digits.slice(0, decimals) || '0');
+  return units + (digits[decimals] >= '5' ? 1n : 0n);
+};
+
+// Exact decimal string for base units, without trailing zeros
+export const formatUnits = (units, decimals) => {
+  const scale = pow10(decimals);
+  const whole = units / scale;
+  const fraction = (units % scale).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole.toString();
+};
+
+// Output edge: base units as a Number of whole units
+export const toDecimal = (units, decimals) => Number(formatUnits(units ?? 0n, decimals));
+
+export const btcToNumber = (units) => toDecimal(units, BTC_DECIMALS);
+export const tokensToNumber = (units) => toDecimal(units, TOKEN_DECIMALS);
+
+// Output edge: a difference of BTC amounts (a profit or loss), which may be negative
+export const btcDiffToNumber = (units) => (units < 0n ? -btcToNumber(-units) : btcToNumber(units));
+
+// Output edge: BTC base units in USD
+export const btcToUsd = (units, btcUsdPrice) => btcToNumber(units) * (Number(btcUsdPrice) || 0);
+
+export const sumUnits = (values) => values.reduce((sum, value) => sum + (value ?? 0n), 0n);
+
+// Comparator for Array.prototype.sort, which cannot take a BigInt difference
+export const compareUnits = (a, b) => (a === b ? 0 : a < b ? -1 : 1);
+
+// a * b / divisor, rounded once at the end
+export const mulDiv = (a, b, divisor) => (divisor === 0n ? 0n : divRound(a * b, divisor));
+
+// numerator / denominator as a Number, 0 when the denominator is 0. The numerator may
+// be a negative difference of amounts.
+export const ratio = (numerator, denominator) => {
+  if (!denominator) return 0;
+  if (numerator < 0n) return -ratio(-numerator, denominator);
+  return toDecimal(divRound(numerator * pow10(RATIO_DECIMALS), denominator), RATIO_DECIMALS);
+};
+
+export const percentage = (part, whole) => ratio(part * 100n, whole);
+
+// BTC value (base units) of a token amount at a price in BTC base units per whole token
+export const valueAtPrice = (tokenUnits, priceUnits) => mulDiv(tokenUnits, priceUnits, pow10(TOKEN_DECIMALS));
+
+// Price in BTC base units per whole token for a BTC amount paid for a token amount
+export const priceOf = (btcUnits, tokenUnits) => mulDiv(btcUnits, pow10(TOKEN_DECIMALS), tokenUnits);
+
+// Price in BTC per whole token, as a Number. Unlike priceOf this keeps prices below
+// one base unit per token.
+export const priceToNumber = (btcUnits, tokenUnits) => ratio(btcUnits * pow10(TOKEN_DECIMALS), tokenUnits * pow10(BTC_DECIMALS));
@@ -1,74 +1,208 @@
-import { readData, writeData, deleteData, cacheData as storageCache, getCachedData as storageGetCache } from './localStorage.js';
+import { memoryCacheConfig, staleCacheConfig } from './config.js';
+import { readData, writeData, deleteData, scanData } from './localStorage.js';
+import { createLruCache } from './lruCache.js';
+import { runInBackground } from './rateLimiter.js';
 
-export const cacheData = async (key, data, duration) => {
-  if (!key || !data) {
-    console.warn('Cache write skipped: Missing key or data');
-    return false;
-  }
+// The one cache API for route results, stored in the `cache` collection of the storage
+// backend. Every entry is stored once as { value, storedAt, freshUntil, expiresAt }, and
+// every read answers with a result object rather than the value itself:
+//   { hit: true, value, storedAt, expiresAt, age }   - fresh entry found
+//   { hit: false }                                   - missing, stale, expired or unreadable
+// so callers can always destructure it and never confuse a cached falsy value with a miss.
+//
+// An entry is fresh until `freshUntil` and then stale until `expiresAt`; a stale entry
+// is only ever served by cacheServe, which refreshes it in the background.
+//
+// Entries can carry `tags` naming what they are about, so everything cached for one
+// entity can be purged at once: `token:<id>`, `user:<id>`, or `global` for lists and
+// prices that belong to no single entity.
+//
+// Reads go through a bounded in-memory LRU (L1) first and only then to the storage
+// backend (L2); L2 hits are promoted into L1 with the expiry they were stored with.
 
-  try {
-    const result = await storageCache('cache', key, {
-      data,
-      timestamp: Date.now(),
-      expiry: Date.now() + (duration || 30000) // Default 30s if no duration
-    });
+const CACHE_COLLECTION = 'cache';
+const DEFAULT_TTL = 30000;
 
-    if (result?.error) {
-      console.warn(`Cache write warning for key ${key}:`, result.error);
-      return false;
-    }
+export const cacheTags = {
+  token: (tokenId) => `token:${tokenId}`,
+  user: (userId) => `user:${userId}`,
+  global: 'global'
+};
 
-    return true;
-  } catch (error) {
-    console.error('Cache write error:', error);
-    return false;
+const MISS = Object.freeze({ hit: false });
+
+const memoryCache = createLruCache(memoryCacheConfig);
+
+// Loads in progress per key, so concurrent misses and refreshes share one upstream trip
+const pendingLoads = new Map();
+
+const isEntry = (entry) => entry !== null && typeof entry === 'object' && 'value' in entry && 'storedAt' in entry;
+
+// Entries written before stale serving existed have no freshUntil; they are fresh for
+// their whole lifetime
+const freshUntilOf = (entry) => entry.freshUntil ?? entry.expiresAt;
+
+// The live entry for `key` from L1 or L2, fresh or stale, or null
+const readEntry = async (key) => {
+  const cached = memoryCache.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  const entry = await readData(CACHE_COLLECTION, key);
+  if (!isEntry(entry)) {
+    return null;
   }
+  if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+    await deleteData(CACHE_COLLECTION, key);
+    return null;
+  }
+
+  const { value, ...meta } = entry;
+  memoryCache.set(key, value, meta);
+  return entry;
 };
 
-export const getCachedData = async (key, duration) => {
+// Look up a fresh entry for `key`. `maxAge` (ms) can ask for something fresher than the
+// TTL it was stored with; older entries count as a miss but are left in place.
+export const cacheGet = async (key, maxAge) => {
   if (!key) {
     console.warn('Cache read skipped: Missing key');
-    return null;
+    return MISS;
   }
 
-  try {
-    const result = await storageGetCache('cache', key, duration);
-    
-    // Handle null/undefined result
-    if (!result || !result.data) {
-      return null;
-    }
+  const entry = await readEntry(key);
+  const now = Date.now();
+  if (!entry || (freshUntilOf(entry) && now >= freshUntilOf(entry))) {
+    return MISS;
+  }
 
-    // Check if cache is expired
-    if (result.data.expiry && Date.now() > result.data.expiry) {
-      await deleteCachedData(key);
-      return null;
-    }
+  const age = now - entry.storedAt;
+  if (maxAge !== undefined && age > maxAge) {
+    return MISS;
+  }
 
-    return result;
-  } catch (error) {
-    console.error('Cache read error:', error);
-    return null;
+  return { hit: true, value: entry.value, storedAt: entry.storedAt, expiresAt: freshUntilOf(entry), age };
+};
+
+// Store `value` under `key`, fresh for `ttl` ms and then kept for another `staleTtl` ms
+// for cacheServe to fall back on. undefined can't be cached; null can.
+export const cacheSet = async (key, value, ttl = DEFAULT_TTL, { staleTtl = 0, tags = [] } = {}) => {
+  if (!key || value === undefined) {
+    console.warn('Cache write skipped: Missing key or value');
+    return false;
   }
+
+  const storedAt = Date.now();
+  const freshUntil = storedAt + ttl;
+  const expiresAt = freshUntil + staleTtl;
+  memoryCache.set(key, value, { storedAt, freshUntil, expiresAt, tags });
+  await writeData(CACHE_COLLECTION, key, { value, storedAt, freshUntil, expiresAt, tags }, { ttl: ttl + staleTtl });
+  return true;
 };
 
-export const deleteCachedData = async (key) => {
+export const cacheDelete = async (key) => {
   if (!key) {
     console.warn('Cache delete skipped: Missing key');
     return false;
   }
 
-  try {
-    const result = await deleteData('cache', key);
-    
-    if (result?.error) {
-      console.warn(`Cache delete warning for key ${key}:`, result.error);
-      return false;
+  memoryCache.delete(key);
+  await deleteData(CACHE_COLLECTION, key);
+  return true;
+};
+
+// Delete the stored entries `matches(entry)` picks, from both tiers. Resolves to the
+// number of stored entries removed.
+const purgeWhere = async (matches, { prefix = '' } = {}) => {
+  memoryCache.deleteWhere((key, meta) => key.startsWith(prefix) && matches({ key, ...meta }));
+
+  const entries = await scanData(CACHE_COLLECTION, { prefix });
+  const purged = entries.filter(({ key, value }) => matches({ key, ...value }));
+  await Promise.all(purged.map(({ key }) => deleteData(CACHE_COLLECTION, key)));
+  return purged.length;
+};
+
+// Every entry tagged with `tag`
+export const cachePurgeTag = (tag) => purgeWhere(entry => Array.isArray(entry.tags) && entry.tags.includes(tag));
+
+// Every entry whose key starts with `prefix`
+export const cachePurgePrefix = (prefix) => purgeWhere(() => true, { prefix });
+
+// The whole cache
+export const cachePurgeAll = () => purgeWhere(() => true);
+
+// Run `load()` for `key` and cache what it returns, unless that is null or undefined.
+// Callers asking for a key that is already loading wait for the same load.
+const loadOnce = (key, ttl, { staleTtl = 0, tags } = {}, load) => {
+  if (pendingLoads.has(key)) {
+    return pendingLoads.get(key);
+  }
+
+  const pending = (async () => {
+    const value = await load();
+    if (value !== null && value !== undefined) {
+      await cacheSet(key, value, ttl, { staleTtl, tags });
     }
+    return value;
+  })().finally(() => pendingLoads.delete(key));
+
+  pendingLoads.set(key, pending);
+  return pending;
+};
+
+// Read-through helper: the cached value when there is one, otherwise the result of
+// `load()`, which is cached for `ttl` ms unless it is null or undefined.
+export const cacheGetOrLoad = async (key, ttl, load) => {
+  const cached = await cacheGet(key);
+  if (cached.hit) {
+    return cached.value;
+  }
 
-    return true;
-  } catch (error) {
-    console.error('Cache delete error:', error);
+  return loadOnce(key, ttl, {}, load);
+};
+
+// Stale-while-revalidate read for route results. Resolves to
+//   { value, state, storedAt, age, freshUntil, expiresAt }
+// where state is 'hit' for a fresh entry, 'stale' for an entry past its TTL but within
+// `staleTtl` (answered at once while `load()` refreshes it in the background), or 'miss'
+// when `load()` had to run first. A refresh gets the stale value as `load(previous)`.
+// Errors from `load()` reach the caller only on a miss; a failed background refresh is
+// logged and the stale entry stays until it expires. `tags` are stored with the entry.
+// Background refreshes queue their upstream requests behind interactive ones.
+export const cacheServe = async (key, { ttl = DEFAULT_TTL, staleTtl = staleCacheConfig.staleTtl, tags } = {}, load) => {
+  const entry = await readEntry(key);
+  const now = Date.now();
+
+  if (entry) {
+    const age = now - entry.storedAt;
+    const lifetime = { freshUntil: freshUntilOf(entry), expiresAt: entry.expiresAt };
+    if (!freshUntilOf(entry) || now < freshUntilOf(entry)) {
+      return { value: entry.value, state: 'hit', storedAt: entry.storedAt, age, ...lifetime };
+    }
+
+    runInBackground(() => loadOnce(key, ttl, { staleTtl, tags }, () => load(entry.value))).catch(error => {
+      console.error(`Background refresh of ${key} failed:`, error.message);
+    });
+    return { value: entry.value, state: 'stale', storedAt: entry.storedAt, age, ...lifetime };
+  }
+
+  const value = await loadOnce(key, ttl, { staleTtl, tags }, load);
+  const storedAt = Date.now();
+  return { value, state: 'miss', storedAt, age: 0, freshUntil: storedAt + ttl, expiresAt: storedAt + ttl + staleTtl };
+};
+
+// Make sure `key` holds a fresh entry, loading it (and waiting for the load) unless it
+// already does. Takes the same arguments as cacheServe. Resolves to true when it loaded.
+export const cacheWarm = async (key, { ttl = DEFAULT_TTL, staleTtl = staleCacheConfig.staleTtl, tags } = {}, load) => {
+  const entry = await readEntry(key);
+  if (entry && (!freshUntilOf(entry) || Date.now() < freshUntilOf(entry))) {
     return false;
   }
-}; 
+
+  await loadOnce(key, ttl, { staleTtl, tags }, () => load(entry?.value));
+  return true;
+};
+
+// Size and hit counters of the in-memory tier
+export const getMemoryCacheStats = () => memoryCache.stats();
@@ -0,0 +1,102 @@
+import { cacheSweepConfig } from './config.js';
+import { getStore } from './localStorage.js';
+
+// Expired entries are otherwise only removed when something reads them again, and
+// per-holder or per-page keys are rarely read twice, so storage grows without bound.
+// The sweeper drops what has expired and then trims each collection back under its
+// quota, least recently used first.
+
+let lastReport = null;
+let sweeping = false;
+
+const overQuota = (entries, bytes, { maxEntries, maxBytes }) => {
+  return (maxEntries > 0 && entries > maxEntries) || (maxBytes > 0 && bytes > maxBytes);
+};
+
+const sweepCollection = async (store, collection, limits) => {
+  const expired = await store.sweepExpired(collection);
+
+  const usage = await store.usage(collection);
+  let entries = usage.length;
+  let bytes = usage.reduce((sum, entry) => sum + entry.size, 0);
+  let evicted = 0;
+  let evictedBytes = 0;
+
+  if (overQuota(entries, bytes, limits)) {
+    const leastRecentlyUsed = [...usage].sort((a, b) => a.accessedAt - b.accessedAt);
+    for (const entry of leastRecentlyUsed) {
+      if (!overQuota(entries, bytes, limits)) break;
+      await store.delete(collection, entry.key);
+      entries--;
+      bytes -= entry.size;
+      evicted++;
+      evictedBytes += entry.size;
+    }
+  }
+
+  return {
+    collection,
+    expired: expired.removed,
+    evicted,
+    bytesReclaimed: expired.bytes + evictedBytes,
+    entries,
+    bytes
+  };
+};
+
+// Run one sweep over the configured collections and report what it reclaimed
+export const sweepCache = async (options = {}) => {
+  if (sweeping) {
+    return lastReport;
+  }
+  sweeping = true;
+
+  const limits = {
+    maxEntries: options.maxEntries ?? cacheSweepConfig.maxEntries,
+    maxBytes: options.maxBytes ?? cacheSweepConfig.maxBytes
+  };
+  const startedAt = Date.now();
+
+  try {
+    const store = await getStore();
+    const collections = [];
+    for (const collection of options.collections || cacheSweepConfig.collections) {
+      collections.push(await sweepCollection(store, collection, limits));
+    }
+
+    const report = {
+      backend: store.name,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      limits,
+      expired: collections.reduce((sum, c) => sum + c.expired, 0),
+      evicted: collections.reduce((sum, c) => sum + c.evicted, 0),
+      bytesReclaimed: collections.reduce((sum, c) => sum + c.bytesReclaimed, 0),
+      collections
+    };
+
+    if (report.expired > 0 || report.evicted > 0) {
+      console.log(`Cache sweep reclaimed ${(report.bytesReclaimed / 1024).toFixed(1)} KB: ` +
+        `${report.expired} expired and ${report.evicted} evicted entries in ${report.durationMs}ms`);
+    }
+
+    lastReport = report;
+    return report;
+  } catch (error) {
+    console.error('Cache sweep failed:', error);
+    return lastReport;
+  } finally {
+    sweeping = false;
+  }
+};
+
+export const getLastSweepReport = () => lastReport;
+
+export const startCacheSweeper = () => {
+  if (!cacheSweepConfig.interval) {
+    return null;
+  }
+  const timer = setInterval(sweepCache, cacheSweepConfig.interval);
+  timer.unref();
+  return timer;
+};
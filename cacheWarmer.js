@@ -0,0 +1,93 @@
+import { cacheWarmConfig } from './config.js';
+import { runInBackground } from './rateLimiter.js';
+
+// Keeps the cache warm for the tokens people actually look at: every run takes the
+// top tokens by volume and loads each of the given per-token tasks for them, so their
+// pages are answered from the cache instead of waiting on Odin. Tokens are warmed a few
+// at a time with a pause in between, and their upstream requests wait in the background
+// lane, so a run never floods the upstream API or holds up user requests.
+
+let lastReport = null;
+let warming = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run every task for one token. A failing task is counted and doesn't stop the others.
+const warmToken = async (tokenId, tasks, counts) => {
+  for (const [name, task] of Object.entries(tasks)) {
+    try {
+      if (await task(tokenId)) {
+        counts[name].warmed++;
+      } else {
+        counts[name].fresh++;
+      }
+    } catch (error) {
+      counts[name].failed++;
+      console.error(`Cache warm of ${name} for token ${tokenId} failed:`, error.message);
+    }
+  }
+};
+
+// Warm the top tokens once and report what was loaded.
+//   getTokenIds() -> token ids ordered by volume, highest first
+//   tasks         -> { name: async tokenId => true when it loaded, false when already fresh }
+export const warmCache = async ({ getTokenIds, tasks }, options = {}) => {
+  if (warming) {
+    return lastReport;
+  }
+  warming = true;
+
+  const { topTokens, concurrency, delay } = { ...cacheWarmConfig, ...options };
+  const startedAt = Date.now();
+
+  try {
+    const tokenIds = (await getTokenIds()).slice(0, topTokens);
+    const counts = Object.fromEntries(Object.keys(tasks).map(name => [name, { warmed: 0, fresh: 0, failed: 0 }]));
+
+    // `concurrency` workers take the next token from a shared queue
+    const queue = [...tokenIds];
+    const worker = async () => {
+      while (queue.length > 0) {
+        await warmToken(queue.shift(), tasks, counts);
+        if (queue.length > 0 && delay > 0) {
+          await sleep(delay);
+        }
+      }
+    };
+    await runInBackground(() => Promise.all(Array.from({ length: Math.min(concurrency, tokenIds.length) }, worker)));
+
+    const report = {
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      tokens: tokenIds.length,
+      warmed: Object.values(counts).reduce((sum, c) => sum + c.warmed, 0),
+      failed: Object.values(counts).reduce((sum, c) => sum + c.failed, 0),
+      tasks: counts
+    };
+
+    console.log(`Cache warm loaded ${report.warmed} entries for ${report.tokens} tokens ` +
+      `in ${report.durationMs}ms (${report.failed} failed)`);
+
+    lastReport = report;
+    return report;
+  } catch (error) {
+    console.error('Cache warm failed:', error);
+    return lastReport;
+  } finally {
+    warming = false;
+  }
+};
+
+export const getLastWarmReport = () => lastReport;
+
+// CACHE_WARM_INTERVAL=0 or CACHE_WARM_TOP_TOKENS=0 switches warming off
+export const isCacheWarmEnabled = () => cacheWarmConfig.interval > 0 && cacheWarmConfig.topTokens > 0;
+
+export const startCacheWarmer = (job) => {
+  if (!isCacheWarmEnabled()) {
+    return null;
+  }
+  const timer = setInterval(() => warmCache(job), cacheWarmConfig.interval);
+  timer.unref();
+  return timer;
+};
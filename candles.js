@@ -0,0 +1,228 @@
+import { candleConfig } from './config.js';
+import { iterateTokenTrades, getBtcPrice } from './odinApiClient.js';
+import { normalizeTrades } from './normalize.js';
+import { btcToNumber, tokensToNumber, priceOf } from './amount.js';
+import { readData, writeData } from './localStorage.js';
+
+// OHLCV bars aggregated from a token's trades. Upstream only ever returns the newest
+// trades, so every resolution is stored as a series in the `candles` collection and
+// brought up to date incrementally: each sync folds in just the trades newer than the
+// series' watermark, and bars for trades upstream no longer returns stay as they were.
+// Trades are walked newest first and the walk stops at the first page that reaches the
+// watermark; a token's first sync backfills at most backfillTrades trades.
+//
+// Prices are BTC base units per whole token and volumes base units, kept exact as
+// BigInt and stored as strings. Bars are aligned to UTC, so a 1d bar starts at midnight.
+//
+// Upstream has no historical BTC/USD rate, so each bar keeps the rate from when it last
+// took in a trade. Synced continuously that is close to the rate at trade time; bars
+// backfilled on the first sync of a token use the rate of that moment.
+
+const CANDLES_COLLECTION = 'candles';
+
+export const RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Syncs in progress and when each token last synced, so bursts of chart requests
+// share one trip upstream
+const pendingSyncs = new Map();
+const lastSyncAt = new Map();
+
+const seriesKey = (tokenId, resolution) => `${tokenId}_${resolution}`;
+
+// Trades without an id are told apart by what they traded
+const tradeKey = (trade) => trade.id ?? `${trade.user}:${trade.time.getTime()}:${trade.amountBtc}:${trade.amountToken}`;
+
+const emptySeries = (tokenId, resolution) => ({ tokenId, resolution, bars: [], syncedThrough: 0, boundaryKeys: [] });
+
+const BAR_UNITS = ['open', 'high', 'low', 'close', 'volumeBtc', 'volumeToken'];
+
+const loadSeries = async (tokenId, resolution) => {
+  const stored = await readData(CANDLES_COLLECTION, seriesKey(tokenId, resolution));
+  if (!stored || !Array.isArray(stored.bars)) {
+    return emptySeries(tokenId, resolution);
+  }
+  const bars = stored.bars.map(bar => ({
+    ...bar,
+    ...Object.fromEntries(BAR_UNITS.map(field => [field, BigInt(bar[field])]))
+  }));
+  return { ...emptySeries(tokenId, resolution), ...stored, bars };
+};
+
+const saveSeries = async (series) => {
+  const bars = series.bars.map(bar => ({
+    ...bar,
+    ...Object.fromEntries(BAR_UNITS.map(field => [field, bar[field].toString()]))
+  }));
+  await writeData(CANDLES_COLLECTION, seriesKey(series.tokenId, series.resolution), { ...series, bars });
+};
+
+// Trades the series hasn't taken in yet: anything after its watermark, plus trades at the
+// watermark itself that weren't among the ones it saw there
+const unseenTrades = (series, trades) => {
+  const boundary = new Set(series.boundaryKeys);
+  return trades.filter(trade => {
+    const time = trade.time.getTime();
+    return time > series.syncedThrough || (time === series.syncedThrough && !boundary.has(tradeKey(trade)));
+  });
+};
+
+// Fold `trades` (oldest first) into the series. Returns whether any bar changed.
+const addTrades = (series, trades, btcUsd) => {
+  const fresh = unseenTrades(series, trades);
+  if (fresh.length === 0) {
+    return false;
+  }
+
+  const interval = RESOLUTIONS[series.resolution];
+  const bars = new Map(series.bars.map(bar => [bar.time, bar]));
+
+  for (const trade of fresh) {
+    const price = trade.priceBtc ?? priceOf(trade.amountBtc, trade.amountToken);
+    const time = Math.floor(trade.time.getTime() / interval) * interval;
+    const bar = bars.get(time);
+
+    if (!bar) {
+      bars.set(time, {
+        time,
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        volumeBtc: trade.amountBtc,
+        volumeToken: trade.amountToken,
+        trades: 1,
+        btcUsd
+      });
+      continue;
+    }
+
+    // Unseen trades are never older than the ones already in a bar, so the last one closes it
+    bar.close = price;
+    if (price > bar.high) bar.high = price;
+    if (price < bar.low) bar.low = price;
+    bar.volumeBtc += trade.amountBtc;
+    bar.volumeToken += trade.amountToken;
+    bar.trades++;
+    bar.btcUsd = btcUsd;
+  }
+
+  const last = fresh[fresh.length - 1].time.getTime();
+  const boundaryKeys = last === series.syncedThrough ? series.boundaryKeys : [];
+  series.boundaryKeys = [
+    ...boundaryKeys,
+    ...fresh.filter(trade => trade.time.getTime() === last).map(tradeKey)
+  ];
+  series.syncedThrough = last;
+  series.bars = Array.from(bars.values()).sort((a, b) => a.time - b.time).slice(-candleConfig.maxBars);
+  return true;
+};
+
+// Trades from the newest down to the first page that reaches `watermark` (ms), oldest
+// first. Without a watermark only the newest backfillTrades are fetched.
+const fetchNewTrades = async (tokenId, watermark) => {
+  const options = watermark ? {} : { maxItems: candleConfig.backfillTrades };
+  const trades = [];
+
+  for await (const page of iterateTokenTrades(tokenId, options)) {
+    const pageTrades = normalizeTrades(page.data, `token ${tokenId} trades`);
+    trades.push(...pageTrades);
+    if (watermark && pageTrades.some(trade => trade.time.getTime() <= watermark)) break;
+  }
+
+  return trades
+    .filter(trade => trade.amountToken > 0n || trade.priceBtc !== null)
+    .sort((a, b) => a.time - b.time);
+};
+
+const runSync = async (tokenId) => {
+  const seriesList = await Promise.all(Object.keys(RESOLUTIONS).map(resolution => loadSeries(tokenId, resolution)));
+  // Series are synced together, so they normally share a watermark; a new one needs the backfill
+  const watermark = Math.min(...seriesList.map(series => series.syncedThrough));
+
+  const [trades, btcPriceData] = await Promise.all([
+    fetchNewTrades(tokenId, watermark),
+    getBtcPrice().catch(() => null)
+  ]);
+  const btcUsd = Number(btcPriceData?.USD) || null;
+
+  for (const series of seriesList) {
+    if (addTrades(series, trades, btcUsd)) {
+      await saveSeries(series);
+    }
+  }
+  lastSyncAt.set(tokenId, Date.now());
+};
+
+// Bring every series of the token up to date, unless that happened within syncInterval
+export const syncCandles = (tokenId) => {
+  if (Date.now() - (lastSyncAt.get(tokenId) ?? 0) < candleConfig.syncInterval) {
+    return Promise.resolve();
+  }
+  if (!pendingSyncs.has(tokenId)) {
+    pendingSyncs.set(tokenId, runSync(tokenId).finally(() => pendingSyncs.delete(tokenId)));
+  }
+  return pendingSyncs.get(tokenId);
+};
+
+// Highest price the token has traded at since its series were first synced, in BTC base
+// units per whole token; 0n when it has no trades. Read from the 1d series, so after the
+// first sync it costs no more than the new trades.
+export const getPeakPrice = async (tokenId) => {
+  await syncCandles(tokenId);
+  const series = await loadSeries(tokenId, '1d');
+  return series.bars.reduce((peak, bar) => (bar.high > peak ? bar.high : peak), 0n);
+};
+
+// Output edge: one bar in BTC and USD, with time in unix seconds like tv_feed
+const formatBar = (bar) => {
+  const toUsd = (btc) => (bar.btcUsd ? btc * bar.btcUsd : null);
+  const open = btcToNumber(bar.open);
+  const high = btcToNumber(bar.high);
+  const low = btcToNumber(bar.low);
+  const close = btcToNumber(bar.close);
+  const volume = btcToNumber(bar.volumeBtc);
+
+  return {
+    time: Math.floor(bar.time / 1000),
+    open,
+    high,
+    low,
+    close,
+    volume,
+    volumeToken: tokensToNumber(bar.volumeToken),
+    trades: bar.trades,
+    usd: {
+      open: toUsd(open),
+      high: toUsd(high),
+      low: toUsd(low),
+      close: toUsd(close),
+      volume: toUsd(volume)
+    }
+  };
+};
+
+// Bars of one resolution between `from` and `to` (ms timestamps, both optional). Without
+// `from` the last defaultBars bars up to `to` are returned.
+export const getCandles = async (tokenId, { resolution, from, to } = {}) => {
+  await syncCandles(tokenId);
+
+  const series = await loadSeries(tokenId, resolution);
+  let bars = series.bars.filter(bar => (from === undefined || bar.time >= from) && (to === undefined || bar.time <= to));
+  if (from === undefined) {
+    bars = bars.slice(-candleConfig.defaultBars);
+  }
+
+  return {
+    tokenId,
+    resolution,
+    bars: bars.map(formatBar),
+    syncedThrough: series.syncedThrough ? new Date(series.syncedThrough).toISOString() : null
+  };
+};
@@ -0,0 +1,123 @@
+import { circuitBreakerConfig } from './config.js';
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+// One breaker per upstream host (api.odin.fun, mempool.space, images.odin.fun, ...)
+const breakers = new Map();
+
+const createBreaker = (host) => ({
+  host,
+  state: CLOSED,
+  consecutiveFailures: 0,
+  halfOpenInFlight: 0,
+  openedAt: null,
+  stats: {
+    requests: 0,
+    successes: 0,
+    failures: 0,
+    rejected: 0,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    lastLatencyMs: null
+  }
+});
+
+const getBreaker = (host) => {
+  if (!breakers.has(host)) {
+    breakers.set(host, createBreaker(host));
+  }
+  return breakers.get(host);
+};
+
+const openCircuit = (breaker) => {
+  if (breaker.state !== OPEN) {
+    console.warn(`Circuit opened for ${breaker.host} after ${breaker.consecutiveFailures} consecutive failures`);
+  }
+  breaker.state = OPEN;
+  breaker.openedAt = Date.now();
+  breaker.halfOpenInFlight = 0;
+};
+
+export const isCircuitOpenError = (error) => error?.code === 'CIRCUIT_OPEN';
+
+// Reserve a slot for a request to `host`, or throw a CIRCUIT_OPEN error when the
+// host is being given a rest. Every successful acquire must be followed by exactly one
+// recordSuccess/recordFailure.
+export const acquire = (host) => {
+  const breaker = getBreaker(host);
+
+  if (breaker.state === OPEN) {
+    const retryAfterMs = breaker.openedAt + circuitBreakerConfig.resetTimeout - Date.now();
+    if (retryAfterMs > 0) {
+      breaker.stats.rejected++;
+      const error = new Error(`Circuit open for ${host}, retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+      error.code = 'CIRCUIT_OPEN';
+      error.host = host;
+      error.retryAfterMs = retryAfterMs;
+      throw error;
+    }
+    breaker.state = HALF_OPEN;
+    breaker.halfOpenInFlight = 0;
+    console.log(`Circuit half-open for ${host}, sending trial request`);
+  }
+
+  if (breaker.state === HALF_OPEN) {
+    if (breaker.halfOpenInFlight >= circuitBreakerConfig.halfOpenRequests) {
+      breaker.stats.rejected++;
+      const error = new Error(`Circuit half-open for ${host}, waiting on trial request`);
+      error.code = 'CIRCUIT_OPEN';
+      error.host = host;
+      error.retryAfterMs = 1000;
+      throw error;
+    }
+    breaker.halfOpenInFlight++;
+  }
+
+  breaker.stats.requests++;
+};
+
+export const recordSuccess = (host, latencyMs) => {
+  const breaker = getBreaker(host);
+
+  if (breaker.state === HALF_OPEN) {
+    console.log(`Circuit closed for ${host}`);
+  }
+  breaker.state = CLOSED;
+  breaker.consecutiveFailures = 0;
+  breaker.halfOpenInFlight = 0;
+  breaker.openedAt = null;
+  breaker.stats.successes++;
+  breaker.stats.lastSuccessAt = new Date().toISOString();
+  breaker.stats.lastLatencyMs = latencyMs;
+};
+
+export const recordFailure = (host, error, latencyMs) => {
+  const breaker = getBreaker(host);
+
+  breaker.consecutiveFailures++;
+  breaker.stats.failures++;
+  breaker.stats.lastFailureAt = new Date().toISOString();
+  breaker.stats.lastError = error?.message || String(error);
+  breaker.stats.lastLatencyMs = latencyMs;
+
+  if (breaker.state === HALF_OPEN || breaker.consecutiveFailures >= circuitBreakerConfig.failureThreshold) {
+    openCircuit(breaker);
+  }
+};
+
+// Snapshot of every known host for the status endpoint
+export const getCircuitStates = () => {
+  return Array.from(breakers.values()).map(breaker => ({
+    host: breaker.host,
+    state: breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    retryAt: breaker.state === OPEN
+      ? new Date(breaker.openedAt + circuitBreakerConfig.resetTimeout).toISOString()
+      : null,
+    ...breaker.stats
+  }));
+};
@@ -0,0 +1,184 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load .env before anything reads process.env. Modules are evaluated before the
+// body of server.js runs, so this has to happen here rather than in server.js.
+dotenv.config();
+
+const toNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const toJSON = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn('Ignoring invalid JSON in environment config:', value);
+    return fallback;
+  }
+};
+
+// Upstream Odin API. Point ODIN_API_BASE_URL at a local mock or a staging mirror
+// to run the whole server against it.
+export const odinApiConfig = {
+  baseUrl: (process.env.ODIN_API_BASE_URL || 'https://api.odin.fun/v1').replace(/\/+$/, ''),
+  imageBaseUrl: (process.env.ODIN_IMAGE_BASE_URL || 'https://images.odin.fun').replace(/\/+$/, ''),
+  timeout: toNumber(process.env.ODIN_API_TIMEOUT, 10000),
+  maxRetries: toNumber(process.env.ODIN_API_MAX_RETRIES, 3),
+  retryDelay: toNumber(process.env.ODIN_API_RETRY_DELAY, 1000),
+  // Extra headers merged over the defaults, e.g. ODIN_API_HEADERS='{"origin":"http://localhost:3000"}'
+  headers: toJSON(process.env.ODIN_API_HEADERS, {})
+};
+
+// Upstream BTC price feed
+export const mempoolApiConfig = {
+  baseUrl: (process.env.MEMPOOL_API_BASE_URL || 'https://mempool.space').replace(/\/+$/, ''),
+  timeout: toNumber(process.env.MEMPOOL_API_TIMEOUT, 5000),
+  maxRetries: toNumber(process.env.MEMPOOL_API_MAX_RETRIES, 1),
+  retryDelay: toNumber(process.env.MEMPOOL_API_RETRY_DELAY, 500)
+};
+
+// Record/replay of upstream responses.
+//   live   - talk to the network (default)
+//   record - talk to the network and save every response under fixturesDir
+//   replay - serve saved responses from fixturesDir and never touch the network
+export const upstreamConfig = {
+  mode: ['live', 'record', 'replay'].includes(process.env.UPSTREAM_MODE) ? process.env.UPSTREAM_MODE : 'live',
+  fixturesDir: process.env.UPSTREAM_FIXTURES_DIR || path.join(__dirname, 'fixtures')
+};
+
+// Per-host circuit breaker for upstream calls. After `failureThreshold` consecutive
+// failures the circuit opens and calls fail fast for `resetTimeout` ms, then up to
+// `halfOpenRequests` trial calls decide whether it closes again.
+export const circuitBreakerConfig = {
+  failureThreshold: toNumber(process.env.CIRCUIT_FAILURE_THRESHOLD, 5),
+  resetTimeout: toNumber(process.env.CIRCUIT_RESET_TIMEOUT, 30000),
+  halfOpenRequests: toNumber(process.env.CIRCUIT_HALF_OPEN_REQUESTS, 1)
+};
+
+// Outbound request budget, one token bucket per upstream host. A host gets `rate`
+// requests per second with bursts of up to `burst`, and at most `concurrency` requests
+// in flight. A 429 halves the host's rate (never below `minRate`) and pauses it for the
+// Retry-After period; every success then wins back `recoveryStep` of the configured rate.
+// `hosts` overrides any of these per host, e.g.
+//   UPSTREAM_RATE_LIMIT_HOSTS='{"mempool.space":{"rate":2,"burst":2}}'
+export const upstreamRateLimitConfig = {
+  rate: toNumber(process.env.UPSTREAM_RATE_LIMIT, 10),
+  burst: toNumber(process.env.UPSTREAM_RATE_LIMIT_BURST, 10),
+  concurrency: Math.max(1, toNumber(process.env.UPSTREAM_CONCURRENCY, 8)),
+  minRate: toNumber(process.env.UPSTREAM_RATE_LIMIT_MIN, 0.5),
+  recoveryStep: toNumber(process.env.UPSTREAM_RATE_LIMIT_RECOVERY, 0.05),
+  hosts: toJSON(process.env.UPSTREAM_RATE_LIMIT_HOSTS, {})
+};
+
+// Walking paged Odin endpoints (holders, trades, activity). `maxItems` caps how far a
+// single walk goes; callers get a resume cursor when the cap cuts a walk short.
+export const paginationConfig = {
+  pageSize: toNumber(process.env.ODIN_PAGE_SIZE, 100),
+  maxItems: toNumber(process.env.ODIN_PAGINATION_MAX_ITEMS, 10000)
+};
+
+// Persistence backend behind localStorage.js.
+//   file   - one JSON file per key under dataDir (default)
+//   memory - in-process only, lost on restart; meant for tests and local runs
+//   sqlite - a single SQLite database at sqlitePath (needs the optional better-sqlite3)
+export const storageConfig = {
+  backend: ['file', 'memory', 'sqlite'].includes(process.env.STORAGE_BACKEND) ? process.env.STORAGE_BACKEND : 'file',
+  dataDir: process.env.STORAGE_DATA_DIR || path.join(__dirname, 'data'),
+  sqlitePath: process.env.STORAGE_SQLITE_PATH || path.join(__dirname, 'data', 'storage.db')
+};
+
+// Background sweep of the cache collections: removes expired entries and, when a
+// collection is over `maxEntries` or `maxBytes`, evicts the least recently used ones.
+// A limit of 0 turns it off; an interval of 0 turns the sweeper off.
+export const cacheSweepConfig = {
+  interval: toNumber(process.env.CACHE_SWEEP_INTERVAL, 5 * 60 * 1000),
+  maxEntries: toNumber(process.env.CACHE_MAX_ENTRIES, 20000),
+  maxBytes: toNumber(process.env.CACHE_MAX_BYTES, 200 * 1024 * 1024),
+  collections: (process.env.CACHE_SWEEP_COLLECTIONS || 'cache').split(',').map(name => name.trim()).filter(Boolean)
+};
+
+// In-process LRU (L1) in front of the storage-backed cache. Entries keep the TTL they
+// were cached with; a limit of 0 leaves that dimension unbounded.
+export const memoryCacheConfig = {
+  maxEntries: toNumber(process.env.MEMORY_CACHE_MAX_ENTRIES, 500),
+  maxBytes: toNumber(process.env.MEMORY_CACHE_MAX_BYTES, 50 * 1024 * 1024)
+};
+
+// Stale-while-revalidate for cached routes: after its TTL an entry is kept for another
+// `staleTtl` ms, during which it is still served while a fresh copy loads in the background
+export const staleCacheConfig = {
+  staleTtl: toNumber(process.env.CACHE_STALE_TTL, 5 * 60 * 1000)
+};
+
+// Admin API (cache purges). Requests authenticate with the key in the x-api-key header;
+// while ADMIN_API_KEY is unset the admin routes answer 503.
+export const adminConfig = {
+  apiKey: process.env.ADMIN_API_KEY || ''
+};
+
+// Cache warmer: every `interval` ms the `topTokens` tokens with the most volume get their
+// detail, combined data, metrics, whale activity and holder PnL loaded ahead of requests,
+// `concurrency` tokens at a time with `delay` ms before each next token. An interval of
+// 0 turns the warmer off.
+export const cacheWarmConfig = {
+  interval: toNumber(process.env.CACHE_WARM_INTERVAL, 60 * 1000),
+  topTokens: toNumber(process.env.CACHE_WARM_TOP_TOKENS, 20),
+  concurrency: Math.max(1, toNumber(process.env.CACHE_WARM_CONCURRENCY, 2)),
+  delay: toNumber(process.env.CACHE_WARM_DELAY, 500)
+};
+
+// OHLCV candles built from trades and kept in the `candles` collection. A token's bars
+// are brought up to date with its newest trades at most once per `syncInterval` ms.
+// Each resolution keeps its newest `maxBars` bars, and a request without a range gets
+// the last `defaultBars`. The first sync of a token backfills its newest
+// `backfillTrades` trades.
+export const candleConfig = {
+  syncInterval: toNumber(process.env.CANDLE_SYNC_INTERVAL, 15 * 1000),
+  backfillTrades: toNumber(process.env.CANDLE_BACKFILL_TRADES, 2000),
+  maxBars: toNumber(process.env.CANDLE_MAX_BARS, 10000),
+  defaultBars: toNumber(process.env.CANDLE_DEFAULT_BARS, 350)
+};
+
+// Holder PnL accounting: 'fifo' sells the oldest lots first, 'average' sells at the
+// average cost of the position. Routes take ?method= to override it per request.
+export const pnlConfig = {
+  method: ['fifo', 'average'].includes(process.env.PNL_METHOD) ? process.env.PNL_METHOD : 'fifo'
+};
+
+// Risk scoring rules (levels and weighted factors) for riskEngine.js. The
+// file is read once at startup.
+export const riskConfig = {
+  path: process.env.RISK_CONFIG_PATH || path.join(__dirname, 'riskConfig.json')
+};
+
+// Creator reputation (reputation.js), judged from the tokens a user has launched
+export const reputationConfig = {
+  // Newest launches a reputation looks at, bounding the upstream calls it makes
+  maxTokens: toNumber(process.env.REPUTATION_MAX_TOKENS, 25),
+  // A launch trading at or below this percentage of its peak counts as gone to near zero
+  nearZeroPercentage: toNumber(process.env.REPUTATION_NEAR_ZERO_PERCENTAGE, 10),
+  // A developer selling within this many hours of launch counts as a quick dump
+  quickSellHours: toNumber(process.env.REPUTATION_QUICK_SELL_HOURS, 24),
+  cacheTtl: toNumber(process.env.REPUTATION_CACHE_TTL, 10 * 60 * 1000)
+};
+
+// Holder snapshots (historical_holders_<tokenId>) that holder growth and churn are
+// measured against. A snapshot is replaced once it is `interval` ms old, and churn is
+// only measured against a snapshot at least `minChurnAge` ms old.
+export const holderSnapshotConfig = {
+  interval: toNumber(process.env.HOLDER_SNAPSHOT_INTERVAL, 24 * 60 * 60 * 1000),
+  minChurnAge: toNumber(process.env.HOLDER_CHURN_MIN_AGE, 60 * 60 * 1000)
+};
+
+// Early buyer detection (earlyBuyers.js): wallets whose first buy came within
+// earlyWindow of a token's creation are early buyers, within sniperWindow snipers
+export const earlyBuyerConfig = {
+  earlyWindow: toNumber(process.env.EARLY_BUYER_WINDOW, 10 * 60 * 1000),
+  sniperWindow: toNumber(process.env.SNIPER_WINDOW, 60 * 1000)
+};
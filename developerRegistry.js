@@ -0,0 +1,159 @@
+import { readData, writeData, deleteData, scanData } from './localStorage.js';
+
+// Registry of developers an admin has vouched for or warned about, persisted in the
+// `developers` collection. Each entry is
+//   { userId, status, note, addedBy, addedAt, updatedBy, updatedAt, expiresAt }
+// where status is one of DEVELOPER_STATUSES and expiresAt (ISO time, optional) ends the
+// entry on its own. Expired entries stay stored, for the record, until they are removed
+// or set again. The registry is read from storage once and then served from memory;
+// every change goes through here, so the two stay in step.
+
+const DEVELOPERS_COLLECTION = 'developers';
+const REGISTRY_META_COLLECTION = 'developers_meta';
+
+export const DEVELOPER_STATUSES = ['trusted', 'flagged', 'blacklisted'];
+
+// Risk of a creator by registry status, from 0 (trusted) to 1 (blacklisted). Developers
+// who aren't listed have no standing at all.
+const STANDING_RISK = {
+  trusted: 0,
+  flagged: 0.6,
+  blacklisted: 1
+};
+
+// Developers trusted through the list that used to be hard-coded in server.js, added to
+// the registry the first time it loads
+const LEGACY_TRUSTED = [
+  { userId: 'vv5jb-7sm7u-vn3nq-6nflf-dghis-fd7ji-cx764-xunni-zosog-eqvpw-oae', note: 'bob' }
+];
+
+let registryPromise = null;
+
+const isLive = (entry, now = Date.now()) => !entry.expiresAt || Date.parse(entry.expiresAt) > now;
+
+const invalidEntry = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_DEVELOPER_ENTRY';
+  error.status = 400;
+  return error;
+};
+
+// Expiry is kept inside the entry rather than handed to the store as a TTL, so expired
+// entries can still be listed
+const storeEntry = async (entry) => {
+  await writeData(DEVELOPERS_COLLECTION, entry.userId, entry);
+};
+
+const migrateLegacyList = async (registry) => {
+  if (await readData(REGISTRY_META_COLLECTION, 'legacyMigrated')) {
+    return;
+  }
+  const now = new Date().toISOString();
+  for (const { userId, note } of LEGACY_TRUSTED) {
+    if (registry.has(userId)) continue;
+    const entry = { userId, status: 'trusted', note, addedBy: 'migration', addedAt: now, updatedBy: null, updatedAt: now, expiresAt: null };
+    registry.set(userId, entry);
+    await storeEntry(entry);
+  }
+  await writeData(REGISTRY_META_COLLECTION, 'legacyMigrated', true);
+};
+
+const loadRegistry = () => {
+  if (!registryPromise) {
+    registryPromise = (async () => {
+      const entries = await scanData(DEVELOPERS_COLLECTION);
+      const registry = new Map(entries.map(entry => [entry.key, entry.value]));
+      await migrateLegacyList(registry);
+      return registry;
+    })().catch(error => {
+      registryPromise = null;
+      throw error;
+    });
+  }
+  return registryPromise;
+};
+
+// Current entries by user id, leaving out expired ones
+export const getDeveloperRegistry = async () => {
+  const registry = await loadRegistry();
+  const now = Date.now();
+  return new Map(Array.from(registry).filter(([, entry]) => isLive(entry, now)));
+};
+
+export const getDeveloper = async (userId) => {
+  const entry = (await loadRegistry()).get(userId);
+  return entry && isLive(entry) ? entry : null;
+};
+
+// Entries sorted by when they were added, optionally only those with `status`.
+// `includeExpired` also lists entries whose expiry has passed but are still stored.
+export const listDevelopers = async ({ status, includeExpired = false } = {}) => {
+  const registry = await loadRegistry();
+  return Array.from(registry.values())
+    .filter(entry => (includeExpired || isLive(entry)) && (!status || entry.status === status))
+    .sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+};
+
+// Add a developer or change their entry. `fields` are { status, note, expiresAt }; a
+// field left undefined keeps its current value. Throws a 400 error on invalid fields.
+export const setDeveloper = async (userId, fields, by) => {
+  if (typeof userId !== 'string' || !userId.trim()) {
+    throw invalidEntry('A developer needs a user id');
+  }
+
+  const registry = await loadRegistry();
+  const stored = registry.get(userId);
+  // An expired entry is replaced as a whole, expiry included
+  const existing = stored && isLive(stored) ? stored : null;
+  const status = fields.status ?? existing?.status;
+  if (!DEVELOPER_STATUSES.includes(status)) {
+    throw invalidEntry(`status must be one of ${DEVELOPER_STATUSES.join(', ')}`);
+  }
+  if (fields.note !== undefined && fields.note !== null && typeof fields.note !== 'string') {
+    throw invalidEntry('note must be a string');
+  }
+
+  let expiresAt = existing?.expiresAt ?? null;
+  if (fields.expiresAt !== undefined) {
+    const time = fields.expiresAt === null ? null : Date.parse(fields.expiresAt);
+    if (Number.isNaN(time)) {
+      throw invalidEntry('expiresAt must be a date');
+    }
+    if (time !== null && time <= Date.now()) {
+      throw invalidEntry('expiresAt must be in the future');
+    }
+    expiresAt = time === null ? null : new Date(time).toISOString();
+  }
+  if (expiresAt && !isLive({ expiresAt })) {
+    throw invalidEntry('expiresAt must be in the future');
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    userId,
+    status,
+    note: fields.note !== undefined ? fields.note : existing?.note ?? null,
+    addedBy: existing ? existing.addedBy : by,
+    addedAt: existing ? existing.addedAt : now,
+    updatedBy: by,
+    updatedAt: now,
+    expiresAt
+  };
+
+  registry.set(userId, entry);
+  await storeEntry(entry);
+  return entry;
+};
+
+// Drop a developer from the registry. Resolves to whether there was an entry.
+export const removeDeveloper = async (userId) => {
+  const registry = await loadRegistry();
+  const existed = registry.delete(userId);
+  if (existed) {
+    await deleteData(DEVELOPERS_COLLECTION, userId);
+  }
+  return existed;
+};
+
+// Risk input for an entry (see STANDING_RISK); null for developers not in the registry
+export const standingRisk = (entry) => (entry ? STANDING_RISK[entry.status] : null);
@@ -0,0 +1,82 @@
+import { sumUnits, compareUnits, ratio, percentage } from './amount.js';
+
+// Concentration of a token's supply over its holders. All measures are taken over the
+// balances actually held (optionally minus excluded addresses such as the creator or a
+// burn address), computed exactly on BigInt base units and turned into Numbers last.
+//
+//   gini     - 0 when every holder holds the same, towards 1 when one holds everything
+//   hhi      - Herfindahl-Hirschman index, the sum of squared shares on the usual 0-10000
+//              scale; effectiveHolders (10000 / hhi) is how many equal holders that is
+//   nakamoto - fewest holders that together hold more than `threshold` percent
+//   lorenz   - cumulative share of the supply held by the poorest x% of holders
+//   top      - share of the supply held by the largest N holders
+
+const TOP_HOLDER_COUNTS = [1, 5, 10, 20, 50, 100];
+
+const gini = (ascending, total) => {
+  const n = BigInt(ascending.length);
+  if (n === 0n || total === 0n) return 0;
+  // G = (2 * sum(i * x_i)) / (n * sum(x)) - (n + 1) / n, with i counted from 1
+  const weighted = ascending.reduce((sum, balance, index) => sum + BigInt(index + 1) * balance, 0n);
+  return ratio(2n * weighted - (n + 1n) * total, n * total);
+};
+
+const nakamoto = (descending, total, threshold) => {
+  let held = 0n;
+  for (let index = 0; index < descending.length; index++) {
+    held += descending[index];
+    if (held * 100n > BigInt(threshold) * total) {
+      return index + 1;
+    }
+  }
+  return descending.length;
+};
+
+const lorenzCurve = (ascending, total, points) => {
+  const curve = [];
+  let held = 0n;
+  let counted = 0;
+  for (let step = 0; step <= points; step++) {
+    const upTo = Math.round((ascending.length * step) / points);
+    while (counted < upTo) {
+      held += ascending[counted++];
+    }
+    curve.push({ population: (100 * step) / points, share: percentage(held, total) });
+  }
+  return curve;
+};
+
+// `holders` are canonical holder records ({ user, balance }).
+//   exclude   - addresses left out of every measure
+//   threshold - percentage the Nakamoto coefficient has to exceed (51 by default)
+//   points    - steps of the Lorenz curve
+export const calculateDistribution = (holders, { exclude = [], threshold = 51, points = 20 } = {}) => {
+  const skipped = new Set(exclude);
+  const counted = holders.filter(h => h.balance > 0n && !skipped.has(h.user));
+  const descending = counted.map(h => h.balance).sort((a, b) => compareUnits(b, a));
+  const ascending = [...descending].reverse();
+  const total = sumUnits(descending);
+  const squares = descending.reduce((sum, balance) => sum + balance * balance, 0n);
+  const hhi = total > 0n ? ratio(squares * 10000n, total * total) : 0;
+
+  let topHeld = 0n;
+  let topCounted = 0;
+  const top = TOP_HOLDER_COUNTS.map(count => {
+    while (topCounted < Math.min(count, descending.length)) {
+      topHeld += descending[topCounted++];
+    }
+    return { holders: count, share: percentage(topHeld, total) };
+  });
+
+  return {
+    holders: counted.length,
+    excluded: holders.filter(h => h.balance > 0n && skipped.has(h.user)).length,
+    gini: gini(ascending, total),
+    hhi,
+    effectiveHolders: squares > 0n ? ratio(total * total, squares) : 0,
+    nakamoto: nakamoto(descending, total, threshold),
+    nakamotoThreshold: threshold,
+    top,
+    lorenz: lorenzCurve(ascending, total, points)
+  };
+};
@@ -0,0 +1,122 @@
+import { earlyBuyerConfig } from './config.js';
+import { btcToNumber, tokensToNumber, sumUnits, compareUnits, percentage } from './amount.js';
+
+// Wallets that bought a token right after its launch. A wallet is an early buyer when its
+// first buy came within `window` of the token's creation and a sniper when within
+// `sniperWindow`. Its entry is everything it bought inside the window; what it bought and
+// sold over the whole history and its current balance show whether it is still in.
+//
+// The creator is listed but never counted as an early buyer or sniper, as the launch buy
+// is their own allocation and shows up in the developer holdings already. Everything is
+// computed on base units; shares are of the token's total supply.
+
+const emptyBuyer = (user) => ({
+  user,
+  username: null,
+  firstBuyAt: null,
+  entryTokens: 0n,
+  entryBtc: 0n,
+  boughtTokens: 0n,
+  soldTokens: 0n
+});
+
+// `token` is a canonical token record, `trades` and `holders` canonical trade and holder
+// records of that token. `holdersComplete` tells whether a wallet missing from `holders`
+// holds nothing or just wasn't listed.
+//   window       - ms after creation that still counts as early
+//   sniperWindow - ms after creation that counts as sniping
+export const detectEarlyBuyers = (token, trades, holders, {
+  window = earlyBuyerConfig.earlyWindow,
+  sniperWindow = earlyBuyerConfig.sniperWindow,
+  holdersComplete = true
+} = {}) => {
+  const launchedAt = token.createdTime?.getTime() ?? null;
+  const totalSupply = token.totalSupply ?? 0n;
+  if (launchedAt === null) {
+    return null;
+  }
+
+  const earlyUntil = launchedAt + window;
+  const buyers = new Map();
+  const ordered = [...trades].sort((a, b) => a.time - b.time);
+
+  for (const trade of ordered) {
+    const time = trade.time.getTime();
+    const buyer = buyers.get(trade.user);
+
+    if (trade.side === 'BUY') {
+      // Only wallets that first bought inside the window are followed
+      if (!buyer && time > earlyUntil) continue;
+      const entry = buyer || emptyBuyer(trade.user);
+      if (!buyer) {
+        entry.firstBuyAt = time;
+        buyers.set(trade.user, entry);
+      }
+      entry.username = entry.username ?? trade.username;
+      entry.boughtTokens += trade.amountToken;
+      if (time <= earlyUntil) {
+        entry.entryTokens += trade.amountToken;
+        entry.entryBtc += trade.amountBtc;
+      }
+    } else if (buyer) {
+      buyer.soldTokens += trade.amountToken;
+    }
+  }
+
+  const balances = new Map(holders.map(h => [h.user, h.balance]));
+  const listed = Array.from(buyers.values())
+    .sort((a, b) => a.firstBuyAt - b.firstBuyAt || compareUnits(b.entryTokens, a.entryTokens))
+    .map(buyer => {
+      const balance = balances.get(buyer.user) ?? (holdersComplete ? 0n : null);
+      const secondsAfterLaunch = Math.max(0, (buyer.firstBuyAt - launchedAt) / 1000);
+      const sold = buyer.soldTokens > buyer.boughtTokens ? buyer.boughtTokens : buyer.soldTokens;
+      return {
+        ...buyer,
+        balance,
+        creator: buyer.user === token.creator,
+        sniper: buyer.user !== token.creator && secondsAfterLaunch * 1000 <= sniperWindow,
+        secondsAfterLaunch,
+        percentSold: percentage(sold, buyer.boughtTokens),
+        holding: balance === null ? null : balance > 0n
+      };
+    });
+
+  const counted = listed.filter(buyer => !buyer.creator);
+  const snipers = counted.filter(buyer => buyer.sniper);
+  const supplyShare = (group, field) => percentage(sumUnits(group.map(buyer => buyer[field])), totalSupply);
+
+  return {
+    launchedAt: new Date(launchedAt).toISOString(),
+    window,
+    sniperWindow,
+    summary: {
+      earlyBuyers: counted.length,
+      snipers: snipers.length,
+      earlyBuyerShare: supplyShare(counted, 'entryTokens'),
+      sniperShare: supplyShare(snipers, 'entryTokens'),
+      // Share of the supply early buyers and snipers still hold
+      earlyBuyerHeldShare: supplyShare(counted, 'balance'),
+      sniperHeldShare: supplyShare(snipers, 'balance'),
+      stillHolding: counted.filter(buyer => buyer.holding).length,
+      exited: counted.filter(buyer => buyer.holding === false).length
+    },
+    buyers: listed.map(buyer => ({
+      user: buyer.user,
+      username: buyer.username,
+      creator: buyer.creator,
+      sniper: buyer.sniper,
+      firstBuyTime: new Date(buyer.firstBuyAt).toISOString(),
+      secondsAfterLaunch: buyer.secondsAfterLaunch,
+      entry: {
+        tokens: tokensToNumber(buyer.entryTokens),
+        btc: btcToNumber(buyer.entryBtc),
+        supplyShare: percentage(buyer.entryTokens, totalSupply)
+      },
+      boughtTokens: tokensToNumber(buyer.boughtTokens),
+      soldTokens: tokensToNumber(buyer.soldTokens),
+      balance: buyer.balance === null ? null : tokensToNumber(buyer.balance),
+      percentSold: buyer.percentSold,
+      holding: buyer.holding
+    }))
+  };
+};
@@ -0,0 +1,281 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// File storage backend: one JSON file per key at <dataDir>/<collection>/<encoded key>.json.
+// Each file holds the entry envelope ({ key, value, expiresAt, updatedAt }) so the TTL
+// and the original key travel with the value.
+//
+// Writes go to a temp file that is fsynced and then renamed over the target, so a
+// crash leaves either the old or the new entry, never a truncated one. Writes and
+// deletes of the same key are serialized within the process.
+
+const FILE_EXTENSION = '.json';
+const TEMP_EXTENSION = '.tmp';
+
+// A write finishes with its temp file in well under this; older temp files are leftovers
+const STALE_TEMP_AGE = 60 * 1000;
+
+// Longest encoded key used as-is in a filename, leaving room for a hash and extensions
+// under the usual 255-byte limit
+const MAX_ENCODED_KEY_LENGTH = 200;
+
+const isLive = (entry, now = Date.now()) => !entry.expiresAt || entry.expiresAt > now;
+
+// Keys are arbitrary strings (some callers build them from arrays or URLs). Everything
+// outside [A-Za-z0-9_-] is percent-encoded as UTF-8, which keeps filenames portable,
+// rules out '.', '..' and path separators, and decodes back with decodeURIComponent.
+export const encodeKey = (key) => {
+  const encoded = Array.from(Buffer.from(String(key), 'utf8'), byte => {
+    const char = String.fromCharCode(byte);
+    return /[A-Za-z0-9_-]/.test(char) ? char : `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+  }).join('');
+
+  if (encoded.length <= MAX_ENCODED_KEY_LENGTH) {
+    return encoded;
+  }
+  // Too long for a filename: keep a readable prefix and make it unique with a hash.
+  // The original key is still recoverable from the entry stored in the file.
+  const hash = crypto.createHash('sha1').update(String(key)).digest('hex');
+  return `${encoded.slice(0, MAX_ENCODED_KEY_LENGTH - 41).replace(/%[0-9A-F]?$/, '')}~${hash}`;
+};
+
+export const decodeKey = (encoded) => {
+  try {
+    return encoded.includes('~') ? null : decodeURIComponent(encoded);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const createFileStore = ({ dataDir }) => {
+  // Collection directories already known to exist, so lookups don't mkdir every time
+  const createdDirs = new Set();
+
+  // Pending operation per file path; each new write or delete chains onto the last
+  const locks = new Map();
+  let tempCounter = 0;
+
+  const withLock = (filePath, operation) => {
+    const previous = locks.get(filePath) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+    const tail = current.catch(() => {});
+    locks.set(filePath, tail);
+    tail.then(() => {
+      if (locks.get(filePath) === tail) {
+        locks.delete(filePath);
+      }
+    });
+    return current;
+  };
+
+  // Temp files are only left behind by a crash mid-write; they are never valid entries.
+  // Recent ones may belong to a write still in progress, so only old ones go.
+  const removeStaleTempFiles = async (collectionDir) => {
+    const files = await fs.readdir(collectionDir);
+    const staleBefore = Date.now() - STALE_TEMP_AGE;
+    await Promise.all(files
+      .filter(file => file.endsWith(TEMP_EXTENSION))
+      .map(async (file) => {
+        const tempPath = path.join(collectionDir, file);
+        const stats = await fs.stat(tempPath).catch(() => null);
+        if (stats && stats.mtimeMs < staleBefore) {
+          await fs.unlink(tempPath).catch(() => {});
+        }
+      }));
+  };
+
+  const getCollectionDir = async (collection) => {
+    const collectionDir = path.join(dataDir, encodeKey(collection));
+    if (!createdDirs.has(collectionDir)) {
+      await fs.mkdir(collectionDir, { recursive: true });
+      await removeStaleTempFiles(collectionDir);
+      createdDirs.add(collectionDir);
+    }
+    return collectionDir;
+  };
+
+  const getFilePath = async (collection, key) => {
+    return path.join(await getCollectionDir(collection), `${encodeKey(key)}${FILE_EXTENSION}`);
+  };
+
+  const writeAtomic = async (filePath, content) => {
+    const tempPath = `${filePath}.${process.pid}.${++tempCounter}${TEMP_EXTENSION}`;
+    let handle;
+    try {
+      handle = await fs.open(tempPath, 'w');
+      await handle.writeFile(content);
+      await handle.sync();
+      await handle.close();
+      handle = null;
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await handle?.close().catch(() => {});
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  };
+
+  // Read one entry file. Missing files are null; unreadable ones are logged and null.
+  const readEntry = async (filePath) => {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      console.error(`Error parsing file ${filePath}:`, error.message);
+      return null;
+    }
+  };
+
+  const removeFile = async (filePath) => {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  // Drop an expired entry, unless a write replaced it since it was read. Resolves to
+  // the size of the removed file, or 0 when nothing was removed.
+  const removeExpired = (filePath) => withLock(filePath, async () => {
+    const entry = await readEntry(filePath);
+    if (!entry || isLive(entry)) return 0;
+    const { size } = await fs.stat(filePath);
+    await removeFile(filePath);
+    return size;
+  });
+
+  // A file's mtime records when the entry was last used: writes set it and reads bump
+  // it explicitly. atime can't serve, since any read (including the sweeper's own)
+  // moves it under relatime and noatime mounts never do. The write time itself is kept
+  // in the entry as updatedAt.
+  const touch = (filePath) => {
+    const now = new Date();
+    fs.utimes(filePath, now, now).catch(() => {});
+  };
+
+  const listEntryFiles = async (collection) => {
+    const collectionDir = await getCollectionDir(collection);
+    return (await fs.readdir(collectionDir))
+      .filter(file => file.endsWith(FILE_EXTENSION))
+      .map(file => ({ file, filePath: path.join(collectionDir, file) }));
+  };
+
+  const readLiveEntries = async (collection) => {
+    const now = Date.now();
+    const entries = [];
+
+    for (const { file, filePath } of await listEntryFiles(collection)) {
+      const entry = await readEntry(filePath);
+      if (!entry) continue;
+      if (!isLive(entry, now)) {
+        await removeExpired(filePath);
+        continue;
+      }
+      const key = entry.key ?? decodeKey(file.slice(0, -FILE_EXTENSION.length));
+      if (key === null) continue;
+      entries.push({
+        key,
+        value: entry.value,
+        expiresAt: entry.expiresAt ?? null,
+        updatedAt: entry.updatedAt ?? null
+      });
+    }
+
+    return entries;
+  };
+
+  return {
+    name: 'file',
+
+    get: async (collection, key) => {
+      const filePath = await getFilePath(collection, key);
+      const entry = await readEntry(filePath);
+      if (!entry) return null;
+      if (!isLive(entry)) {
+        await removeExpired(filePath);
+        return null;
+      }
+      // A hashed filename can in theory be shared by two keys; the stored key decides
+      if (entry.key !== undefined && entry.key !== String(key)) {
+        return null;
+      }
+      touch(filePath);
+      return entry.value;
+    },
+
+    set: async (collection, key, value, { ttl } = {}) => {
+      const filePath = await getFilePath(collection, key);
+      await withLock(filePath, () => {
+        const now = Date.now();
+        return writeAtomic(filePath, JSON.stringify({
+          key: String(key),
+          value,
+          expiresAt: ttl ? now + ttl : null,
+          updatedAt: now
+        }, null, 2));
+      });
+    },
+
+    delete: async (collection, key) => {
+      const filePath = await getFilePath(collection, key);
+      await withLock(filePath, () => removeFile(filePath));
+    },
+
+    list: async (collection) => {
+      return (await readLiveEntries(collection)).map(entry => entry.key);
+    },
+
+    scan: async (collection, { prefix = '' } = {}) => {
+      return (await readLiveEntries(collection)).filter(entry => entry.key.startsWith(prefix));
+    },
+
+    sweepExpired: async (collection) => {
+      const now = Date.now();
+      let removed = 0;
+      let bytes = 0;
+      for (const { filePath } of await listEntryFiles(collection)) {
+        const entry = await readEntry(filePath);
+        if (entry && !isLive(entry, now)) {
+          const size = await removeExpired(filePath);
+          if (size > 0) {
+            removed++;
+            bytes += size;
+          }
+        }
+      }
+      return { removed, bytes };
+    },
+
+    // Size and last access of every live entry, from file metadata. Each file is opened
+    // to leave out entries that expired but haven't been swept yet.
+    usage: async (collection) => {
+      const now = Date.now();
+      const usage = [];
+      for (const { file, filePath } of await listEntryFiles(collection)) {
+        let stats;
+        try {
+          stats = await fs.stat(filePath);
+        } catch (error) {
+          if (error.code === 'ENOENT') continue;
+          throw error;
+        }
+        const entry = await readEntry(filePath);
+        if (!entry || !isLive(entry, now)) continue;
+        const key = entry.key ?? decodeKey(file.slice(0, -FILE_EXTENSION.length));
+        if (key == null) continue;
+        usage.push({ key, size: stats.size, accessedAt: stats.mtimeMs });
+      }
+      return usage;
+    },
+
+    close: async () => {}
+  };
+};
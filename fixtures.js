@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { upstreamConfig } from './config.js';
+
+// Fixture files live at <fixturesDir>/<service>/<readable endpoint>.<hash>.json.
+// The readable part is only there for humans browsing the directory; the hash of
+// the exact endpoint (path + query) is what keeps two requests apart.
+const getFixturePath = (service, endpoint) => {
+  const readable = endpoint
+    .replace(/^\/+/, '')
+    .replace(/[^a-zA-Z0-9._-]+/g, '_')
+    .slice(0, 120);
+  const hash = crypto.createHash('sha1').update(endpoint).digest('hex').slice(0, 10);
+  return path.join(upstreamConfig.fixturesDir, service, `${readable}.${hash}.json`);
+};
+
+export const isRecording = () => upstreamConfig.mode === 'record';
+export const isReplaying = () => upstreamConfig.mode === 'replay';
+
+// Save an upstream outcome. Successful responses store the parsed body, HTTP errors
+// store the status so a replay reproduces the same failure.
+export const recordFixture = async (service, endpoint, { status, body }) => {
+  const filePath = getFixturePath(service, endpoint);
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({
+      service,
+      endpoint,
+      status,
+      recordedAt: new Date().toISOString(),
+      body
+    }, null, 2));
+  } catch (error) {
+    console.error(`Error recording fixture ${filePath}:`, error);
+  }
+};
+
+// Load a recorded outcome, throwing like the live client would for HTTP errors
+export const replayFixture = async (service, endpoint) => {
+  const filePath = getFixturePath(service, endpoint);
+
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    const missing = new Error(`No fixture recorded for ${service} ${endpoint}`);
+    missing.code = 'FIXTURE_MISSING';
+    missing.url = filePath;
+    throw missing;
+  }
+
+  if (fixture.status >= 400) {
+    const error = new Error(`API request failed: ${fixture.status} (replayed)`);
+    error.status = fixture.status;
+    error.url = filePath;
+    throw error;
+  }
+
+  return fixture.body;
+};
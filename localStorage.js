@@ -1,111 +1,102 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { storageConfig } from './config.js';
+import { createFileStore } from './fileStore.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createSqliteStore } from './sqliteStore.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, 'data');
+// Storage backends all implement the same async adapter interface:
+//   get(collection, key)                   -> value, or null when missing or expired
+//   set(collection, key, value, { ttl })   -> stores value, expiring after ttl ms if given
+//   delete(collection, key)
+//   list(collection)                       -> keys of the live entries
+//   scan(collection, { prefix })           -> [{ key, value, expiresAt, updatedAt }]
+//   sweepExpired(collection)               -> { removed, bytes } of the expired entries dropped
+//   usage(collection)                      -> [{ key, size, accessedAt }] of the live entries
+//   close()
+// The backend is picked once from storageConfig.backend.
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const createStore = async () => {
+  switch (storageConfig.backend) {
+    case 'memory':
+      return createMemoryStore();
+    case 'sqlite':
+      try {
+        return await createSqliteStore({ filename: storageConfig.sqlitePath });
+      } catch (error) {
+        console.error('SQLite storage unavailable, falling back to file storage:', error.message);
+        return createFileStore({ dataDir: storageConfig.dataDir });
+      }
+    default:
+      return createFileStore({ dataDir: storageConfig.dataDir });
+  }
+};
+
+let storePromise = null;
 
-// Helper function to get file path for a key
-const getFilePath = (collection, key) => {
-  const collectionDir = path.join(DATA_DIR, collection);
-  if (!fs.existsSync(collectionDir)) {
-    fs.mkdirSync(collectionDir, { recursive: true });
+export const getStore = () => {
+  if (!storePromise) {
+    storePromise = createStore().then(store => {
+      console.log(`Using ${store.name} storage backend`);
+      return store;
+    });
   }
-  return path.join(collectionDir, `${key}.json`);
+  return storePromise;
 };
 
-// Read data from a file
+// Read data for a key
 export const readData = async (collection, key) => {
-  const filePath = getFilePath(collection, key);
-  if (!fs.existsSync(filePath)) {
-    return null;
-  }
   try {
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    return data;
+    const store = await getStore();
+    return await store.get(collection, key);
   } catch (error) {
-    console.error(`Error reading file ${filePath}:`, error);
+    console.error(`Error reading ${collection}/${key}:`, error);
     return null;
   }
 };
 
-// Write data to a file
-export const writeData = async (collection, key, value) => {
-  const filePath = getFilePath(collection, key);
+// Write data for a key. `options.ttl` (ms) lets the backend expire it on its own.
+export const writeData = async (collection, key, value, options = {}) => {
   try {
-    fs.writeFileSync(filePath, JSON.stringify(value, null, 2));
+    const store = await getStore();
+    await store.set(collection, key, value, options);
   } catch (error) {
-    console.error(`Error writing file ${filePath}:`, error);
+    console.error(`Error writing ${collection}/${key}:`, error);
   }
 };
 
-// Delete data from a file
+// Delete data for a key
 export const deleteData = async (collection, key) => {
-  const filePath = getFilePath(collection, key);
-  if (fs.existsSync(filePath)) {
-    try {
-      fs.unlinkSync(filePath);
-    } catch (error) {
-      console.error(`Error deleting file ${filePath}:`, error);
-    }
+  try {
+    const store = await getStore();
+    await store.delete(collection, key);
+  } catch (error) {
+    console.error(`Error deleting ${collection}/${key}:`, error);
   }
 };
 
-// Get all data from a collection
-export const getAllData = async (collection) => {
-  const collectionDir = path.join(DATA_DIR, collection);
-  if (!fs.existsSync(collectionDir)) {
-    return {};
-  }
-  
-  const files = fs.readdirSync(collectionDir);
-  const data = {};
-  
-  for (const file of files) {
-    if (file.endsWith('.json')) {
-      const key = file.replace('.json', '');
-      try {
-        const content = JSON.parse(fs.readFileSync(path.join(collectionDir, file), 'utf8'));
-        data[key] = content;
-      } catch (error) {
-        console.error(`Error reading file ${file}:`, error);
-      }
-    }
+// Keys stored in a collection
+export const listKeys = async (collection) => {
+  try {
+    const store = await getStore();
+    return await store.list(collection);
+  } catch (error) {
+    console.error(`Error listing ${collection}:`, error);
+    return [];
   }
-  
-  return data;
 };
 
-// Check if data is expired based on timestamp
-export const isExpired = (timestamp, duration) => {
-  if (!timestamp) return true;
-  return Date.now() - new Date(timestamp).getTime() > duration;
-};
-
-// Cache data with expiration
-export const cacheData = async (collection, key, data, duration) => {
-  const cacheEntry = {
-    data,
-    timestamp: new Date().toISOString(),
-    duration
-  };
-  await writeData(collection, key, cacheEntry);
+// Entries of a collection, optionally limited to keys starting with `prefix`
+export const scanData = async (collection, options = {}) => {
+  try {
+    const store = await getStore();
+    return await store.scan(collection, options);
+  } catch (error) {
+    console.error(`Error scanning ${collection}:`, error);
+    return [];
+  }
 };
 
-// Get cached data if not expired
-export const getCachedData = async (collection, key, duration) => {
-  const cacheEntry = await readData(collection, key);
-  if (!cacheEntry) return null;
-  
-  if (isExpired(cacheEntry.timestamp, duration)) {
-    await deleteData(collection, key);
-    return null;
-  }
-  
-  return cacheEntry.data;
-}; 
\ No newline at end of file
+// Get all data from a collection
+export const getAllData = async (collection) => {
+  const entries = await scanData(collection);
+  return Object.fromEntries(entries.map(entry => [entry.key, entry.value]));
+};
\ No newline at end of file
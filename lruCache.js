@@ -0,0 +1,115 @@
+// Bounded in-process LRU cache with per-entry expiry. A Map keeps its keys in insertion
+// order, so re-inserting a key on every hit leaves the least recently used entry first.
+//
+// Values are kept as they are and deep-frozen, so a hit hands out the stored object
+// without parsing or copying it; callers copy whatever they want to change. Each
+// entry's size for the byte budget is the length of its JSON text, measured once when
+// it is stored.
+
+// Freeze `value` and everything it holds. Byte buffers can't be frozen and are left as
+// they are.
+const deepFreeze = (value) => {
+  if (value === null || typeof value !== 'object' || Object.isFrozen(value) || ArrayBuffer.isView(value)) {
+    return value;
+  }
+  Object.freeze(value);
+  for (const child of Object.values(value)) {
+    deepFreeze(child);
+  }
+  return value;
+};
+
+export const createLruCache = ({ maxEntries, maxBytes }) => {
+  const entries = new Map();
+  let bytes = 0;
+  let hits = 0;
+  let misses = 0;
+  let evictions = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    bytes -= entry.size;
+  };
+
+  const evict = () => {
+    while (entries.size > 0 && ((maxEntries > 0 && entries.size > maxEntries) || (maxBytes > 0 && bytes > maxBytes))) {
+      remove(entries.keys().next().value);
+      evictions++;
+    }
+  };
+
+  return {
+    // The cached value with the metadata it was stored with, or null when missing or expired
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) {
+        misses++;
+        return null;
+      }
+      if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+        remove(key);
+        misses++;
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      hits++;
+      return { ...entry.meta, value: entry.value };
+    },
+
+    // `meta` travels with the value; its `expiresAt` (ms timestamp) is when the entry
+    // stops being served. The value is frozen once kept. Returns false when the value
+    // can't be serialized or is too big to ever fit, in which case it isn't kept.
+    set: (key, value, meta = {}) => {
+      remove(key);
+      let json;
+      try {
+        json = JSON.stringify(value);
+      } catch (error) {
+        return false;
+      }
+      if (json === undefined) return false;
+      const size = Buffer.byteLength(json);
+      if (maxBytes > 0 && size > maxBytes) {
+        return false;
+      }
+      entries.set(key, { value: deepFreeze(value), size, meta, expiresAt: meta.expiresAt ?? null });
+      bytes += size;
+      evict();
+      return true;
+    },
+
+    delete: (key) => {
+      remove(key);
+    },
+
+    // Drop every entry for which `predicate(key, meta)` holds; returns how many went
+    deleteWhere: (predicate) => {
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (predicate(key, entry.meta)) {
+          remove(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    clear: () => {
+      entries.clear();
+      bytes = 0;
+    },
+
+    stats: () => ({
+      entries: entries.size,
+      bytes,
+      maxEntries,
+      maxBytes,
+      hits,
+      misses,
+      evictions
+    })
+  };
+};
@@ -0,0 +1,98 @@
+// In-process storage backend. Nothing survives a restart, which is what tests and
+// throwaway local runs want. Values are cloned on the way in and out so callers get
+// the same copy semantics as from the file and SQLite stores.
+
+const isLive = (entry, now = Date.now()) => entry.expiresAt === null || entry.expiresAt > now;
+
+// Approximate stored size, as the JSON the other backends would write
+const sizeOf = (value) => Buffer.byteLength(JSON.stringify(value) ?? '');
+
+export const createMemoryStore = () => {
+  const collections = new Map();
+
+  const getCollection = (collection) => {
+    if (!collections.has(collection)) {
+      collections.set(collection, new Map());
+    }
+    return collections.get(collection);
+  };
+
+  const liveEntries = (collection) => {
+    const entries = getCollection(collection);
+    const now = Date.now();
+    const live = [];
+    for (const [key, entry] of entries) {
+      if (isLive(entry, now)) {
+        live.push(entry);
+      } else {
+        entries.delete(key);
+      }
+    }
+    return live;
+  };
+
+  return {
+    name: 'memory',
+
+    get: async (collection, key) => {
+      const entries = getCollection(collection);
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (!isLive(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      entry.accessedAt = Date.now();
+      return structuredClone(entry.value);
+    },
+
+    set: async (collection, key, value, { ttl } = {}) => {
+      const now = Date.now();
+      getCollection(collection).set(key, {
+        key,
+        value: structuredClone(value),
+        expiresAt: ttl ? now + ttl : null,
+        updatedAt: now,
+        accessedAt: now,
+        size: sizeOf(value)
+      });
+    },
+
+    delete: async (collection, key) => {
+      getCollection(collection).delete(key);
+    },
+
+    list: async (collection) => {
+      return liveEntries(collection).map(entry => entry.key);
+    },
+
+    scan: async (collection, { prefix = '' } = {}) => {
+      return liveEntries(collection)
+        .filter(entry => entry.key.startsWith(prefix))
+        .map(({ key, value, expiresAt, updatedAt }) => ({ key, value: structuredClone(value), expiresAt, updatedAt }));
+    },
+
+    sweepExpired: async (collection) => {
+      const entries = getCollection(collection);
+      const now = Date.now();
+      let removed = 0;
+      let bytes = 0;
+      for (const [key, entry] of entries) {
+        if (!isLive(entry, now)) {
+          entries.delete(key);
+          removed++;
+          bytes += entry.size;
+        }
+      }
+      return { removed, bytes };
+    },
+
+    usage: async (collection) => {
+      return liveEntries(collection).map(({ key, size, accessedAt }) => ({ key, size, accessedAt }));
+    },
+
+    close: async () => {
+      collections.clear();
+    }
+  };
+};
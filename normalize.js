@@ -0,0 +1,170 @@
+import { parseUnits } from './amount.js';
+
+// Validation and normalization of upstream Odin payloads.
+//
+// Every route should compute on the canonical objects returned here (camelCase fields,
+// Date times) instead of converting raw fields itself. Amounts stay exact: BTC and
+// token amounts are BigInt base units, to be combined with the helpers in amount.js
+// and converted to Numbers only when building a response.
+
+// Field parsers: return { value } when valid, { error } otherwise
+const fieldTypes = {
+  string: (raw) => (typeof raw === 'string' && raw.length > 0
+    ? { value: raw }
+    : { error: 'expected a non-empty string' }),
+  number: (raw) => {
+    const value = Number(raw);
+    return raw !== null && raw !== '' && Number.isFinite(value) ? { value } : { error: 'expected a number' };
+  },
+  time: (raw) => {
+    const value = typeof raw === 'number' ? new Date(raw * 1000) : new Date(raw);
+    return raw != null && !Number.isNaN(value.getTime()) ? { value } : { error: 'expected a timestamp' };
+  },
+  btc: (raw) => parseAmount(raw),
+  token: (raw) => parseAmount(raw),
+  side: (raw) => (raw === 'BUY' || raw === 'SELL' ? { value: raw } : { error: 'expected BUY or SELL' })
+};
+
+function parseAmount(raw) {
+  const value = parseUnits(raw);
+  return value === null ? { error: 'expected a non-negative base-unit amount' } : { value };
+}
+
+// Trades come with either `action: 'BUY' | 'SELL'` or a boolean `buy`
+const readSide = (record) => record.action ?? (typeof record.buy === 'boolean' ? (record.buy ? 'BUY' : 'SELL') : undefined);
+
+// Activity rows only have a side when they are trades
+const readActivitySide = (record) => (record.action === 'BUY' || record.action === 'SELL' ? record.action : undefined);
+
+// Declared schemas. Each field names where it is read from (`from`, a key or a
+// function of the raw record), its type and whether a record without it is unusable.
+export const schemas = {
+  token: {
+    id: { from: 'id', type: 'string', required: true },
+    name: { from: 'name', type: 'string' },
+    ticker: { from: 'ticker', type: 'string' },
+    creator: { from: 'creator', type: 'string' },
+    createdTime: { from: 'created_time', type: 'time' },
+    totalSupply: { from: 'total_supply', type: 'token' },
+    priceBtc: { from: 'price', type: 'btc' },
+    marketcapBtc: { from: 'marketcap', type: 'btc' },
+    volumeBtc: { from: 'volume', type: 'btc' },
+    holderCount: { from: 'holder_count', type: 'number' }
+  },
+  holder: {
+    user: { from: 'user', type: 'string', required: true },
+    username: { from: 'user_username', type: 'string' },
+    balance: { from: 'balance', type: 'token', required: true }
+  },
+  trade: {
+    id: { from: 'id', type: 'string' },
+    tokenId: { from: (record) => (typeof record.token === 'object' ? record.token?.id : record.token), type: 'string' },
+    user: { from: 'user', type: 'string', required: true },
+    username: { from: 'user_username', type: 'string' },
+    side: { from: readSide, type: 'side', required: true },
+    amountBtc: { from: 'amount_btc', type: 'btc', required: true },
+    amountToken: { from: 'amount_token', type: 'token', required: true },
+    priceBtc: { from: 'price', type: 'btc' },
+    feeBtc: { from: 'fee', type: 'btc' },
+    time: { from: 'time', type: 'time', required: true }
+  },
+  // A user's activity feed mixes trades with other actions, so only the token and
+  // the time are required; trade fields are validated when present.
+  activity: {
+    id: { from: 'id', type: 'string' },
+    tokenId: { from: (record) => (typeof record.token === 'object' ? record.token?.id : record.token), type: 'string', required: true },
+    ticker: { from: (record) => record.token?.ticker, type: 'string' },
+    user: { from: 'user', type: 'string' },
+    action: { from: 'action', type: 'string', required: true },
+    side: { from: readActivitySide, type: 'side' },
+    amountBtc: { from: 'amount_btc', type: 'btc' },
+    amountToken: { from: 'amount_token', type: 'token' },
+    feeBtc: { from: 'fee', type: 'btc' },
+    time: { from: 'time', type: 'time', required: true }
+  },
+  // A wallet's holdings list, where the token comes either embedded as `token` or
+  // flattened into the row itself
+  holding: {
+    tokenId: { from: (record) => (typeof record.token === 'object' ? record.token?.id : record.token ?? record.id), type: 'string', required: true },
+    name: { from: (record) => record.token?.name ?? record.name, type: 'string' },
+    ticker: { from: (record) => record.token?.ticker ?? record.ticker, type: 'string' },
+    balance: { from: 'balance', type: 'token', required: true },
+    priceBtc: { from: (record) => record.token?.price ?? record.price, type: 'btc' }
+  },
+  // tv_feed candles are already decimal numbers, with time in unix seconds
+  candle: {
+    time: { from: 'time', type: 'time', required: true },
+    open: { from: 'open', type: 'number', required: true },
+    high: { from: 'high', type: 'number', required: true },
+    low: { from: 'low', type: 'number', required: true },
+    close: { from: 'close', type: 'number', required: true },
+    volume: { from: 'volume', type: 'number' }
+  }
+};
+
+// Validate one record against a schema. Returns the canonical object, or null when a
+// required field is missing or malformed. Problems with optional fields are kept on
+// the object as `issues` so callers can flag them.
+export const normalize = (kind, record) => {
+  const schema = schemas[kind];
+  if (!schema) {
+    throw new Error(`Unknown schema: ${kind}`);
+  }
+  if (!record || typeof record !== 'object') {
+    return null;
+  }
+
+  const result = { issues: [] };
+  for (const [field, spec] of Object.entries(schema)) {
+    const raw = typeof spec.from === 'function' ? spec.from(record) : record[spec.from];
+
+    if (raw === undefined || raw === null) {
+      if (spec.required) return null;
+      result[field] = null;
+      continue;
+    }
+
+    const parsed = fieldTypes[spec.type](raw);
+    if (parsed.error) {
+      if (spec.required) return null;
+      result.issues.push(`${field}: ${parsed.error}`);
+      result[field] = null;
+      continue;
+    }
+
+    result[field] = parsed.value;
+  }
+
+  return result;
+};
+
+// Normalize a list, dropping unusable records. Drops are logged with `context` so a
+// shape change upstream shows up in the logs instead of as silently wrong numbers.
+export const normalizeList = (kind, records, context = kind) => {
+  if (!Array.isArray(records)) {
+    return [];
+  }
+
+  const items = [];
+  let rejected = 0;
+  for (const record of records) {
+    const item = normalize(kind, record);
+    if (item) {
+      items.push(item);
+    } else {
+      rejected++;
+    }
+  }
+
+  if (rejected > 0) {
+    console.warn(`Rejected ${rejected} of ${records.length} malformed ${kind} records (${context})`);
+  }
+  return items;
+};
+
+export const normalizeToken = (record) => normalize('token', record);
+export const normalizeHolders = (records, context) => normalizeList('holder', records, context);
+export const normalizeTrades = (records, context) => normalizeList('trade', records, context);
+export const normalizeActivity = (records, context) => normalizeList('activity', records, context);
+export const normalizeHoldings = (records, context) => normalizeList('holding', records, context);
+export const normalizeCandles = (records, context) => normalizeList('candle', records, context);
@@ -1,22 +1,10 @@
 import fetch from 'node-fetch';
+import { odinApiConfig, mempoolApiConfig, paginationConfig } from './config.js';
+import { isRecording, isReplaying, recordFixture, replayFixture } from './fixtures.js';
+import { acquire, recordSuccess, recordFailure, isCircuitOpenError } from './circuitBreaker.js';
+import { limit, recordThrottle } from './rateLimiter.js';
 
-const API_BASE_URL = 'https://api.odin.fun/v1';
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000; // 1 second
-const RATE_LIMIT_DELAY = 100; // 100ms between requests
-
-// Rate limiting queue
-let lastRequestTime = 0;
-
-// Helper to enforce rate limiting
-const waitForRateLimit = async () => {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  if (timeSinceLastRequest < RATE_LIMIT_DELAY) {
-    await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY - timeSinceLastRequest));
-  }
-  lastRequestTime = Date.now();
-};
+const DEFAULT_RETRY_AFTER = 5000;
 
 // Helper to get random user agent
 const getRandomUserAgent = () => {
@@ -39,85 +27,314 @@ const defaultHeaders = {
   'sec-fetch-site': 'same-site'
 };
 
-// Main fetch function with retries and rate limiting
-const fetchWithRetry = async (endpoint, options = {}, retryCount = 0) => {
-  try {
-    await waitForRateLimit();
-    
-    const url = `${API_BASE_URL}${endpoint}`;
-    const headers = {
+// Upstream services the client talks to
+const services = {
+  odin: {
+    config: odinApiConfig,
+    headers: () => ({
       ...defaultHeaders,
       'User-Agent': getRandomUserAgent(),
+      ...odinApiConfig.headers
+    })
+  },
+  mempool: {
+    config: mempoolApiConfig,
+    headers: () => ({
+      'accept': 'application/json',
+      'User-Agent': getRandomUserAgent()
+    })
+  }
+};
+
+// Single fetch with a timeout. Non-2xx responses are thrown with their status attached.
+const fetchOnce = async (url, headers, timeout) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+
+    if (!response.ok) {
+      const error = new Error(`API request failed: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('Retry-After');
+      error.url = url;
+      throw error;
+    }
+
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      const timeoutError = new Error(`API request timed out after ${timeout}ms`);
+      timeoutError.url = url;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Network errors, timeouts, 5xx and 429 say something about the host's health.
+// Any other 4xx means the host answered fine and we asked for something wrong.
+const isHostFailure = (error) => !error.status || error.status >= 500 || error.status === 429;
+
+const isRetryable = (error) => !isCircuitOpenError(error) && isHostFailure(error);
+
+// Retry-After is either a number of seconds or an HTTP date
+const retryAfterMs = (value) => {
+  if (!value) return DEFAULT_RETRY_AFTER;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? DEFAULT_RETRY_AFTER : Math.max(0, date - Date.now());
+};
+
+// Single fetch guarded by the circuit breaker of the target host
+const fetchThroughBreaker = async (url, headers, timeout) => {
+  const { host } = new URL(url);
+  acquire(host);
+
+  const startedAt = Date.now();
+  try {
+    const response = await fetchOnce(url, headers, timeout);
+    recordSuccess(host, Date.now() - startedAt);
+    return response;
+  } catch (error) {
+    if (error.status === 429) {
+      recordThrottle(host, retryAfterMs(error.retryAfter));
+    }
+    if (isHostFailure(error)) {
+      recordFailure(host, error, Date.now() - startedAt);
+    } else {
+      recordSuccess(host, Date.now() - startedAt);
+    }
+    throw error;
+  }
+};
+
+// Main fetch function with retries and rate limiting. Every attempt waits its turn in
+// the limiter of the target host, in the lane of the calling context unless
+// `options.lane` says otherwise.
+const fetchWithRetry = async (serviceName, endpoint, options = {}, retryCount = 0) => {
+  const service = services[serviceName];
+  const { config } = service;
+  const maxRetries = options.maxRetries ?? config.maxRetries;
+
+  if (isReplaying()) {
+    // Streamed responses (token images) are never recorded, so there is nothing to replay
+    if (options.raw) {
+      throw new Error(`Raw upstream responses are not available in replay mode: ${endpoint}`);
+    }
+    return replayFixture(serviceName, endpoint);
+  }
+
+  try {
+    const url = `${options.baseUrl || config.baseUrl}${endpoint}`;
+    const headers = {
+      ...service.headers(),
       ...options.headers
     };
 
-    const response = await fetch(url, {
-      ...options,
-      headers
-    });
-
-    // Handle rate limiting
-    if (response.status === 429) {
-      if (retryCount < MAX_RETRIES) {
-        const retryAfter = parseInt(response.headers.get('Retry-After') || '5', 10) * 1000;
-        await new Promise(resolve => setTimeout(resolve, retryAfter));
-        return fetchWithRetry(endpoint, options, retryCount + 1);
-      }
-      throw new Error('Rate limit exceeded after retries');
+    // The request holds its concurrency slot until the body has been read
+    const { response, body } = await limit(new URL(url).host, async () => {
+      const response = await fetchThroughBreaker(url, headers, options.timeout || config.timeout);
+      return { response, body: options.raw ? null : await response.json() };
+    }, { lane: options.lane });
+    if (options.raw) {
+      return response;
     }
 
-    // Handle other errors
-    if (!response.ok) {
-      if (retryCount < MAX_RETRIES && response.status >= 500) {
-        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * (retryCount + 1)));
-        return fetchWithRetry(endpoint, options, retryCount + 1);
-      }
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+    if (isRecording()) {
+      await recordFixture(serviceName, endpoint, { status: response.status, body });
     }
-
-    return await response.json();
+    return body;
   } catch (error) {
-    if (retryCount < MAX_RETRIES) {
-      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * (retryCount + 1)));
-      return fetchWithRetry(endpoint, options, retryCount + 1);
+    if (retryCount < maxRetries && isRetryable(error)) {
+      // After a 429 the host's limiter already holds the retry back until Retry-After
+      if (error.status !== 429) {
+        await new Promise(resolve => setTimeout(resolve, config.retryDelay * (retryCount + 1)));
+      }
+      return fetchWithRetry(serviceName, endpoint, options, retryCount + 1);
+    }
+    if (isRecording() && error.status && !options.raw) {
+      await recordFixture(serviceName, endpoint, { status: error.status, body: null });
     }
     throw error;
   }
 };
 
-// API methods
-export const getToken = async (tokenId) => {
-  return fetchWithRetry(`/token/${tokenId}`);
+// Upstream GETs currently in flight, keyed by service + endpoint. Concurrent callers
+// asking for the same resource share one request and one parsed result, so callers
+// must treat results as read-only and copy before modifying them.
+const inFlight = new Map();
+let coalescedRequests = 0;
+
+const singleFlight = (key, run) => {
+  if (inFlight.has(key)) {
+    coalescedRequests++;
+    return inFlight.get(key);
+  }
+
+  const promise = run().finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+};
+
+const request = (serviceName, endpoint, options = {}) => {
+  // Streamed bodies can only be consumed once, so they are never shared
+  if (options.raw) {
+    return fetchWithRetry(serviceName, endpoint, options);
+  }
+
+  return singleFlight(`${serviceName}:${endpoint}`, () => fetchWithRetry(serviceName, endpoint, options));
+};
+
+export const getRequestStats = () => ({
+  inFlight: inFlight.size,
+  coalesced: coalescedRequests
+});
+
+// Odin API methods. `options` accepts { timeout, maxRetries, headers, lane } overrides.
+export const getToken = async (tokenId, options) => {
+  return request('odin', `/token/${tokenId}`, options);
+};
+
+export const getTokenHolders = async (tokenId, page = 1, limit = 100, options) => {
+  return request('odin', `/token/${tokenId}/owners?page=${page}&limit=${limit}`, options);
+};
+
+export const getTokenTrades = async (tokenId, page = 1, limit = paginationConfig.pageSize, options) => {
+  return request('odin', `/token/${tokenId}/trades?page=${page}&limit=${limit}`, options);
+};
+
+export const getUser = async (userId, options) => {
+  return request('odin', `/user/${userId}`, options);
+};
+
+export const getUserTokens = async (userId, page = 1, limit = 100, options) => {
+  return request('odin', `/user/${userId}/tokens?page=${page}&limit=${limit}`, options);
+};
+
+export const getUserCreated = async (userId, page = 1, limit = 100, sort = 'last_action_time:desc', options) => {
+  return request('odin', `/user/${userId}/created?page=${page}&limit=${limit}&sort=${sort}`, options);
+};
+
+export const getUserActivity = async (userId, page = 1, limit = 100, sort = 'time:desc', options) => {
+  return request('odin', `/user/${userId}/activity?page=${page}&limit=${limit}&sort=${sort}`, options);
+};
+
+export const getTokens = async (page = 1, limit = 20, sort = 'created_time:desc', options) => {
+  return request('odin', `/tokens?page=${page}&limit=${limit}&sort=${sort}`, options);
+};
+
+export const getTokenTVFeed = async (tokenId, resolution = 1, last = 350, options) => {
+  return request('odin', `/token/${tokenId}/tv_feed?resolution=${resolution}&last=${last}`, options);
+};
+
+// Token images are served from a separate host and streamed back, so the raw response is returned
+export const getImage = async (imagePath, options = {}) => {
+  return request('odin', imagePath, {
+    ...options,
+    baseUrl: odinApiConfig.imageBaseUrl,
+    raw: true
+  });
+};
+
+// BTC price in fiat currencies ({ USD, EUR, ... }) from mempool.space
+export const getBtcPrice = async (options) => {
+  return request('mempool', '/api/v1/prices', options);
+};
+
+// Walk a paged Odin endpoint until it runs out of data or `maxItems` is reached.
+// `fetchPage(page, limit)` must resolve to an Odin page ({ data }); a short page marks
+// the end. Each yielded page carries the cursor to resume right after it, or null
+// once the data has run out.
+export async function* paginate(fetchPage, options = {}) {
+  const pageSize = options.pageSize || paginationConfig.pageSize;
+  const maxItems = options.maxItems || paginationConfig.maxItems;
+  let page = options.cursor?.page || 1;
+  let fetched = 0;
+
+  while (fetched < maxItems) {
+    const response = await fetchPage(page, pageSize);
+    const data = Array.isArray(response?.data) ? response.data : [];
+    fetched += data.length;
+
+    const cursor = data.length < pageSize ? null : { page: page + 1 };
+
+    yield { data, page, cursor };
+
+    if (!cursor) return;
+    page = cursor.page;
+  }
+}
+
+// Drain a paginate() walk into one list. `complete` is false when the walk stopped at
+// the cap, in which case `cursor` continues it.
+export const collectAll = async (pages) => {
+  const data = [];
+  let cursor = null;
+
+  for await (const page of pages) {
+    data.push(...page.data);
+    cursor = page.cursor;
+  }
+
+  return { data, count: data.length, complete: cursor === null, cursor };
+};
+
+export const iterateTokenHolders = (tokenId, options = {}) => {
+  return paginate((page, limit) => getTokenHolders(tokenId, page, limit, options), options);
+};
+
+export const iterateTokenTrades = (tokenId, options = {}) => {
+  return paginate((page, limit) => getTokenTrades(tokenId, page, limit, options), options);
+};
+
+export const iterateUserActivity = (userId, options = {}) => {
+  const sort = options.sort || 'time:desc';
+  return paginate((page, limit) => getUserActivity(userId, page, limit, sort, options), options);
 };
 
-export const getTokenHolders = async (tokenId, page = 1, limit = 100) => {
-  return fetchWithRetry(`/token/${tokenId}/owners?page=${page}&limit=${limit}`);
+export const iterateUserTokens = (userId, options = {}) => {
+  return paginate((page, limit) => getUserTokens(userId, page, limit, options), options);
 };
 
-export const getTokenTrades = async (tokenId, page = 1, limit = 9999) => {
-  return fetchWithRetry(`/token/${tokenId}/trades?page=${page}&limit=${limit}`);
+export const iterateUserCreated = (userId, options = {}) => {
+  const sort = options.sort || 'last_action_time:desc';
+  return paginate((page, limit) => getUserCreated(userId, page, limit, sort, options), options);
 };
 
-export const getUser = async (userId) => {
-  return fetchWithRetry(`/user/${userId}`);
+export const iterateTokens = (options = {}) => {
+  const sort = options.sort || 'created_time:desc';
+  return paginate((page, limit) => getTokens(page, limit, sort, options), options);
+};
+
+// Complete data sets, shaped like an Odin page ({ data, count }) plus walk state.
+// Concurrent walks over the same resource are shared like single requests.
+const walkKey = (resource, options) => `walk:${resource}:${options.sort || ''}:${options.maxItems || ''}:${options.cursor?.page || 1}`;
+
+export const getAllTokenHolders = (tokenId, options = {}) => {
+  return singleFlight(walkKey(`/token/${tokenId}/owners`, options), () => collectAll(iterateTokenHolders(tokenId, options)));
 };
 
-export const getUserTokens = async (userId) => {
-  return fetchWithRetry(`/user/${userId}/tokens`);
+export const getAllTokenTrades = (tokenId, options = {}) => {
+  return singleFlight(walkKey(`/token/${tokenId}/trades`, options), () => collectAll(iterateTokenTrades(tokenId, options)));
 };
 
-export const getUserCreated = async (userId) => {
-  return fetchWithRetry(`/user/${userId}/created`);
+export const getAllUserActivity = (userId, options = {}) => {
+  return singleFlight(walkKey(`/user/${userId}/activity`, options), () => collectAll(iterateUserActivity(userId, options)));
 };
 
-export const getUserActivity = async (userId, page = 1, limit = 100, sort = 'time:desc') => {
-  return fetchWithRetry(`/user/${userId}/activity?page=${page}&limit=${limit}&sort=${sort}`);
+export const getAllUserTokens = (userId, options = {}) => {
+  return singleFlight(walkKey(`/user/${userId}/tokens`, options), () => collectAll(iterateUserTokens(userId, options)));
 };
 
-export const getTokens = async (page = 1, limit = 20, sort = 'created_time:desc') => {
-  return fetchWithRetry(`/tokens?page=${page}&limit=${limit}&sort=${sort}`);
+export const getAllUserCreated = (userId, options = {}) => {
+  return singleFlight(walkKey(`/user/${userId}/created`, options), () => collectAll(iterateUserCreated(userId, options)));
 };
 
-export const getTokenTVFeed = async (tokenId, resolution = 1, last = 350) => {
-  return fetchWithRetry(`/token/${tokenId}/tv_feed?resolution=${resolution}&last=${last}`);
-}; 
\ No newline at end of file
+export const getAllTokens = (options = {}) => {
+  return singleFlight(walkKey('/tokens', options), () => collectAll(iterateTokens(options)));
+};
\ No newline at end of file
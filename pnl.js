@@ -0,0 +1,195 @@
+import { btcDiffToNumber, tokensToNumber, mulDiv, priceToNumber, valueAtPrice } from './amount.js';
+
+// Profit and loss of one wallet in one token, replayed from its whole trade history.
+//
+// Buys open lots at their cost (BTC paid plus any fee). Sells close lots and realize the
+// difference between their proceeds (BTC received less any fee) and the cost of the
+// lots they close, picked by the accounting method:
+//   fifo    - oldest lots first
+//   average - at the average cost of the whole position
+// Whatever is still open is valued at the current price for unrealized PnL.
+//
+// Tokens sold beyond what the history bought (received by transfer, or bought before
+// the history starts) have no known cost, so they are reported as unmatched and left
+// out of realized PnL rather than guessed at. The same goes for a current balance above
+// the replayed position. All sums are exact BTC base units until the output edge; USD
+// figures use the BTC/USD rate passed in, as no historical rate is available.
+
+export const PNL_METHODS = ['fifo', 'average'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const minUnits = (a, b) => (a < b ? a : b);
+
+// Cost of `part` out of `tokens` tokens that together cost `cost`
+const shareOf = (cost, part, tokens) => (part === tokens ? cost : mulDiv(cost, part, tokens));
+
+// Each book tracks the open position. sell() answers with the tokens it could match, what
+// they cost and their holding time in token-milliseconds, for a token-weighted average.
+const createFifoBook = () => {
+  const lots = [];
+
+  return {
+    buy: (tokens, cost, time) => {
+      lots.push({ tokens, cost, time });
+    },
+    sell: (tokens, time) => {
+      let remaining = tokens;
+      let cost = 0n;
+      let held = 0;
+      while (remaining > 0n && lots.length > 0) {
+        const lot = lots[0];
+        const take = minUnits(lot.tokens, remaining);
+        const takeCost = shareOf(lot.cost, take, lot.tokens);
+        cost += takeCost;
+        held += tokensToNumber(take) * (time - lot.time);
+        lot.tokens -= take;
+        lot.cost -= takeCost;
+        remaining -= take;
+        if (lot.tokens === 0n) lots.shift();
+      }
+      return { tokens: tokens - remaining, cost, held };
+    },
+    open: (now) => ({
+      tokens: lots.reduce((sum, lot) => sum + lot.tokens, 0n),
+      cost: lots.reduce((sum, lot) => sum + lot.cost, 0n),
+      held: lots.reduce((sum, lot) => sum + tokensToNumber(lot.tokens) * (now - lot.time), 0)
+    })
+  };
+};
+
+const createAverageBook = () => {
+  let position = 0n;
+  let positionCost = 0n;
+  // Token-weighted average time the open position was bought at
+  let acquiredAt = 0;
+
+  return {
+    buy: (tokens, cost, time) => {
+      const held = tokensToNumber(position);
+      const bought = tokensToNumber(tokens);
+      acquiredAt = held + bought > 0 ? (acquiredAt * held + time * bought) / (held + bought) : time;
+      position += tokens;
+      positionCost += cost;
+    },
+    sell: (tokens, time) => {
+      const matched = minUnits(tokens, position);
+      if (matched === 0n) {
+        return { tokens: 0n, cost: 0n, held: 0 };
+      }
+      const cost = shareOf(positionCost, matched, position);
+      position -= matched;
+      positionCost -= cost;
+      return { tokens: matched, cost, held: tokensToNumber(matched) * (time - acquiredAt) };
+    },
+    open: (now) => ({
+      tokens: position,
+      cost: positionCost,
+      held: tokensToNumber(position) * (now - acquiredAt)
+    })
+  };
+};
+
+const averageDays = (held, tokens) => (tokens > 0 ? held / tokens / DAY : null);
+
+// Replay `trades`, canonical trade or activity records (side, amountBtc, amountToken,
+// time, optional feeBtc) of a single wallet in a single token, into exact base-unit
+// figures for callers that add PnL up over several tokens.
+//   method   - 'fifo' or 'average'
+//   priceBtc - current price, BTC base units per whole token
+//   balance  - current token balance when known; defaults to the replayed position
+export const replayPnL = (trades, { method = 'fifo', priceBtc = 0n, balance, now = Date.now() } = {}) => {
+  const book = method === 'average' ? createAverageBook() : createFifoBook();
+  const ordered = trades
+    .filter(trade => (trade.side === 'BUY' || trade.side === 'SELL') && trade.amountBtc !== null && trade.amountToken !== null)
+    .sort((a, b) => a.time - b.time);
+
+  let invested = 0n;
+  let proceeds = 0n;
+  let fees = 0n;
+  let realized = 0n;
+  let tokensBought = 0n;
+  let tokensSold = 0n;
+  let unmatchedSold = 0n;
+  let realizedHeld = 0;
+  let realizedTokens = 0;
+
+  for (const trade of ordered) {
+    const fee = trade.feeBtc ?? 0n;
+    const time = trade.time.getTime();
+    fees += fee;
+
+    if (trade.side === 'BUY') {
+      const cost = trade.amountBtc + fee;
+      book.buy(trade.amountToken, cost, time);
+      invested += cost;
+      tokensBought += trade.amountToken;
+      continue;
+    }
+
+    const net = trade.amountBtc > fee ? trade.amountBtc - fee : 0n;
+    const closed = book.sell(trade.amountToken, time);
+    proceeds += net;
+    tokensSold += trade.amountToken;
+    unmatchedSold += trade.amountToken - closed.tokens;
+    if (closed.tokens > 0n) {
+      realized += shareOf(net, closed.tokens, trade.amountToken) - closed.cost;
+      realizedHeld += closed.held;
+      realizedTokens += tokensToNumber(closed.tokens);
+    }
+  }
+
+  const open = book.open(now);
+  const held = balance ?? open.tokens;
+  const costed = minUnits(held, open.tokens);
+  const costBasis = costed > 0n ? shareOf(open.cost, costed, open.tokens) : 0n;
+  const marketValue = valueAtPrice(held, priceBtc);
+  const unrealized = valueAtPrice(costed, priceBtc) - costBasis;
+
+  return {
+    method,
+    trades: ordered.length,
+    tokensBought,
+    tokensSold,
+    unmatchedSold,
+    held,
+    costed,
+    figures: { invested, proceeds, fees, costBasis, marketValue, realized, unrealized, total: realized + unrealized },
+    holdingPeriod: {
+      realizedDays: averageDays(realizedHeld, realizedTokens),
+      openDays: averageDays(open.held, tokensToNumber(open.tokens))
+    }
+  };
+};
+
+// Output edge: BTC figures (base units, possibly negative) as BTC and USD Numbers
+export const figuresToNumbers = (figures, btcUsd) => ({
+  btc: Object.fromEntries(Object.entries(figures).map(([name, units]) => [name, btcDiffToNumber(units)])),
+  usd: Object.fromEntries(Object.entries(figures).map(([name, units]) => [name, btcDiffToNumber(units) * btcUsd]))
+});
+
+// PnL report for the trades of one wallet in one token: replayPnL's figures in BTC and
+// in USD at `btcUsd`
+export const calculatePnL = (trades, { btcUsd = 0, ...options } = {}) => {
+  const replay = replayPnL(trades, options);
+  const avgCostBtc = priceToNumber(replay.figures.costBasis, replay.costed);
+
+  return {
+    method: replay.method,
+    trades: replay.trades,
+    tokensBought: tokensToNumber(replay.tokensBought),
+    tokensSold: tokensToNumber(replay.tokensSold),
+    unmatchedSoldTokens: tokensToNumber(replay.unmatchedSold),
+    position: {
+      tokens: tokensToNumber(replay.held),
+      costedTokens: tokensToNumber(replay.costed),
+      uncostedTokens: tokensToNumber(replay.held - replay.costed)
+    },
+    avgCost: {
+      btc: avgCostBtc,
+      usd: avgCostBtc * btcUsd
+    },
+    ...figuresToNumbers(replay.figures, btcUsd),
+    holdingPeriod: replay.holdingPeriod
+  };
+};
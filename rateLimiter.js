@@ -0,0 +1,150 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { upstreamRateLimitConfig } from './config.js';
+
+// Outbound request scheduling, one limiter per upstream host. Each limiter is a token
+// bucket (requests per second with a burst allowance) plus a cap on requests in flight.
+// Requests wait in priority lanes: anything queued in the interactive lane goes out
+// before the background lane, so cache warming and batch jobs only use the budget that
+// user-facing requests leave over.
+//
+// The lane comes from the async context the request is made in: code running inside
+// runInBackground() queues in the background lane, everything else is interactive.
+
+export const LANES = ['interactive', 'background'];
+
+const laneStorage = new AsyncLocalStorage();
+
+// Run `fn` with every upstream request it makes, directly or further down its async
+// chain, queued in the background lane. Resolves to what `fn` returns.
+export const runInBackground = (fn) => laneStorage.run('background', fn);
+
+export const currentLane = () => laneStorage.getStore() || 'interactive';
+
+const limiters = new Map();
+
+const createLimiter = (host) => {
+  const settings = { ...upstreamRateLimitConfig, ...upstreamRateLimitConfig.hosts[host] };
+  return {
+    host,
+    settings,
+    rate: settings.rate,
+    tokens: settings.burst,
+    refilledAt: Date.now(),
+    pausedUntil: 0,
+    active: 0,
+    queues: Object.fromEntries(LANES.map(lane => [lane, []])),
+    timer: null,
+    stats: {
+      granted: 0,
+      throttled: 0,
+      lastThrottleAt: null
+    }
+  };
+};
+
+const getLimiter = (host) => {
+  if (!limiters.has(host)) {
+    limiters.set(host, createLimiter(host));
+  }
+  return limiters.get(host);
+};
+
+const queuedCount = (limiter) => LANES.reduce((sum, lane) => sum + limiter.queues[lane].length, 0);
+
+const refill = (limiter, now) => {
+  const elapsed = (now - limiter.refilledAt) / 1000;
+  limiter.tokens = Math.min(limiter.settings.burst, limiter.tokens + elapsed * limiter.rate);
+  limiter.refilledAt = now;
+};
+
+// After a throttle, every completed request wins back part of the configured rate
+const recover = (limiter) => {
+  const { rate, recoveryStep } = limiter.settings;
+  if (limiter.rate < rate) {
+    limiter.rate = Math.min(rate, limiter.rate + rate * recoveryStep);
+  }
+};
+
+// Come back to the queue after `ms`, unless a wake-up is already pending
+const wakeIn = (limiter, ms) => {
+  if (limiter.timer) return;
+  limiter.timer = setTimeout(() => {
+    limiter.timer = null;
+    pump(limiter);
+  }, Math.max(1, Math.ceil(ms)));
+};
+
+// Start as many queued requests as the bucket and the concurrency cap allow
+const pump = (limiter) => {
+  while (queuedCount(limiter) > 0 && limiter.active < limiter.settings.concurrency) {
+    const now = Date.now();
+    if (now < limiter.pausedUntil) {
+      return wakeIn(limiter, limiter.pausedUntil - now);
+    }
+
+    refill(limiter, now);
+    if (limiter.tokens < 1) {
+      return wakeIn(limiter, ((1 - limiter.tokens) / limiter.rate) * 1000);
+    }
+
+    const lane = LANES.find(name => limiter.queues[name].length > 0);
+    const { task, resolve, reject } = limiter.queues[lane].shift();
+    limiter.tokens -= 1;
+    limiter.active++;
+    limiter.stats.granted++;
+
+    Promise.resolve()
+      .then(task)
+      .then(result => {
+        recover(limiter);
+        resolve(result);
+      }, reject)
+      .finally(() => {
+        limiter.active--;
+        pump(limiter);
+      });
+  }
+};
+
+// Run `task()` once `host` has budget for it. `options.lane` overrides the lane taken
+// from the async context. Resolves or rejects with whatever `task()` does.
+export const limit = (host, task, options = {}) => {
+  const limiter = getLimiter(host);
+  const lane = LANES.includes(options.lane) ? options.lane : currentLane();
+
+  return new Promise((resolve, reject) => {
+    limiter.queues[lane].push({ task, resolve, reject });
+    pump(limiter);
+  });
+};
+
+// The host answered 429: halve its rate and hold every request back for `retryAfterMs`
+export const recordThrottle = (host, retryAfterMs) => {
+  const limiter = getLimiter(host);
+  const now = Date.now();
+
+  limiter.rate = Math.max(limiter.settings.minRate, limiter.rate / 2);
+  limiter.tokens = 0;
+  limiter.refilledAt = now;
+  limiter.pausedUntil = Math.max(limiter.pausedUntil, now + retryAfterMs);
+  limiter.stats.throttled++;
+  limiter.stats.lastThrottleAt = new Date(now).toISOString();
+
+  console.warn(`Upstream ${host} is rate limiting us, slowing to ${limiter.rate.toFixed(2)} req/s ` +
+    `and pausing for ${Math.ceil(retryAfterMs / 1000)}s`);
+};
+
+// Snapshot of every known host for the status endpoint
+export const getRateLimiterStates = () => {
+  return Array.from(limiters.values()).map(limiter => ({
+    host: limiter.host,
+    rate: Number(limiter.rate.toFixed(3)),
+    configuredRate: limiter.settings.rate,
+    burst: limiter.settings.burst,
+    concurrency: limiter.settings.concurrency,
+    active: limiter.active,
+    queued: Object.fromEntries(LANES.map(lane => [lane, limiter.queues[lane].length])),
+    pausedUntil: limiter.pausedUntil > Date.now() ? new Date(limiter.pausedUntil).toISOString() : null,
+    ...limiter.stats
+  }));
+};
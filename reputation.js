@@ -0,0 +1,145 @@
+import { reputationConfig } from './config.js';
+import { btcToNumber, btcToUsd, mulDiv, percentage, valueAtPrice, tokensToNumber } from './amount.js';
+
+// Reputation of a token creator, judged from what happened to the tokens they launched.
+// For every launch it looks at how long the developer held before first selling, whether
+// they still hold anything, and how far the price is down from its peak; a launch
+// trading at nearZeroPercentage of its peak or less has gone to near zero.
+//
+// The score runs from 0 (every launch rugged) to 100 (nothing held against the creator)
+// and is made of penalties, each the share of launches showing a pattern times its
+// weight. Every penalty is listed as evidence with the launches behind it. A creator
+// without launches has no score.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const PENALTIES = {
+  nearZero: 40,
+  quickSell: 25,
+  soldOut: 20,
+  drawdown: 15
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// One launch. `devTrades` are the creator's own trades in the token (canonical activity
+// records), `devBalance` what they hold now (null when unknown) and `peakPriceBtc` the
+// highest traded price.
+const assessLaunch = ({ token, devTrades, devBalance, peakPriceBtc }, btcUsd, now) => {
+  const createdAt = token.createdTime?.getTime() ?? null;
+  const priceBtc = token.priceBtc ?? 0n;
+  const peakPrice = peakPriceBtc > priceBtc ? peakPriceBtc : priceBtc;
+  const marketcap = token.marketcapBtc ?? valueAtPrice(token.totalSupply ?? 0n, priceBtc);
+  // Supply doesn't change, so market cap moves with the price
+  const peakMarketcap = priceBtc > 0n ? mulDiv(marketcap, peakPrice, priceBtc) : valueAtPrice(token.totalSupply ?? 0n, peakPrice);
+  const drawdown = peakPrice > 0n ? 100 - percentage(priceBtc, peakPrice) : 0;
+
+  const sells = devTrades.filter(trade => trade.side === 'SELL').sort((a, b) => a.time - b.time);
+  const firstSellAt = sells.length > 0 ? sells[0].time.getTime() : null;
+  const heldUntil = firstSellAt ?? now;
+  const holdHours = createdAt !== null ? Math.max(0, heldUntil - createdAt) / HOUR : null;
+
+  return {
+    tokenId: token.id,
+    name: token.name,
+    ticker: token.ticker,
+    createdTime: createdAt !== null ? new Date(createdAt).toISOString() : null,
+    ageDays: createdAt !== null ? round((now - createdAt) / DAY) : null,
+    holders: token.holderCount,
+    marketcap: {
+      current: { btc: btcToNumber(marketcap), usd: btcToUsd(marketcap, btcUsd) },
+      peak: { btc: btcToNumber(peakMarketcap), usd: btcToUsd(peakMarketcap, btcUsd) }
+    },
+    drawdown: round(drawdown),
+    nearZero: peakPrice > 0n && drawdown >= 100 - reputationConfig.nearZeroPercentage,
+    dev: {
+      balance: devBalance === null ? null : tokensToNumber(devBalance),
+      sold: sells.length > 0,
+      soldOut: sells.length > 0 && devBalance === 0n,
+      firstSellTime: firstSellAt !== null ? new Date(firstSellAt).toISOString() : null,
+      // Until the first sell, or until now for a developer who never sold
+      holdDays: holdHours !== null ? round(holdHours / 24) : null,
+      quickSell: firstSellAt !== null && holdHours !== null && holdHours < reputationConfig.quickSellHours
+    }
+  };
+};
+
+const evidenceFor = (launches) => {
+  const total = launches.length;
+  const tickers = (matched) => matched.map(launch => launch.ticker || launch.tokenId);
+  const findings = [
+    {
+      penalty: 'nearZero',
+      matched: launches.filter(launch => launch.nearZero),
+      describe: (count) => `${count} of ${total} launches trade at ${reputationConfig.nearZeroPercentage}% of their peak or less`
+    },
+    {
+      penalty: 'quickSell',
+      matched: launches.filter(launch => launch.dev.quickSell),
+      describe: (count) => `Developer started selling within ${reputationConfig.quickSellHours}h of launch on ${count} of ${total} launches`
+    },
+    {
+      penalty: 'soldOut',
+      matched: launches.filter(launch => launch.dev.soldOut),
+      describe: (count) => `Developer sold out of ${count} of ${total} launches`
+    }
+  ];
+
+  const evidence = findings
+    .filter(finding => finding.matched.length > 0)
+    .map(finding => ({
+      finding: finding.penalty,
+      message: finding.describe(finding.matched.length),
+      tokens: tickers(finding.matched),
+      share: round((100 * finding.matched.length) / total),
+      penalty: round((PENALTIES[finding.penalty] * finding.matched.length) / total)
+    }));
+
+  const medianDrawdown = median(launches.map(launch => launch.drawdown));
+  if (medianDrawdown > 0) {
+    evidence.push({
+      finding: 'drawdown',
+      message: `Launches trade a median ${round(medianDrawdown)}% below their peak`,
+      tokens: [],
+      share: null,
+      penalty: round((PENALTIES.drawdown * medianDrawdown) / 100)
+    });
+  }
+  return evidence;
+};
+
+// `launches` are { token, devTrades, devBalance, peakPriceBtc } per created token, with
+// the token as a canonical token record and amounts in base units. Returns
+//   { score, launches, summary: {...}, evidence: [...], tokens: [...] }
+export const calculateReputation = (launches, { btcUsd = 0, now = Date.now() } = {}) => {
+  const tokens = launches
+    .map(launch => assessLaunch(launch, btcUsd, now))
+    .sort((a, b) => (b.createdTime ?? '').localeCompare(a.createdTime ?? ''));
+  const evidence = evidenceFor(tokens);
+  const penalty = evidence.reduce((sum, finding) => sum + finding.penalty, 0);
+  const count = (predicate) => tokens.filter(predicate).length;
+
+  return {
+    score: tokens.length > 0 ? round(Math.max(0, 100 - penalty)) : null,
+    launches: tokens.length,
+    summary: {
+      nearZero: count(launch => launch.nearZero),
+      devSold: count(launch => launch.dev.sold),
+      devSoldOut: count(launch => launch.dev.soldOut),
+      quickSells: count(launch => launch.dev.quickSell),
+      medianHoldDays: median(tokens.filter(launch => launch.dev.holdDays !== null).map(launch => launch.dev.holdDays)),
+      medianDrawdown: median(tokens.map(launch => launch.drawdown)),
+      medianHolders: median(tokens.filter(launch => launch.holders !== null).map(launch => launch.holders))
+    },
+    evidence,
+    tokens
+  };
+};
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import { riskConfig } from './config.js';
+
+// Rule-based risk scoring. The rules live in a JSON file (riskConfig.path):
+//   levels      - [{ key, minScore, level, message, color }], the first level whose
+//                 minScore the score reaches wins
+//   factors     - { name: { label, input, weight, low, high, whenZero, floor } }
+//
+// Each factor reads one input and turns it into a risk between 0 and 1 along a straight
+// line from `low` (no risk) to `high` (full risk); `low` above `high` makes smaller
+// values riskier. `whenZero` overrides the risk of an input that is exactly 0, such as a
+// developer who sold everything. The score is the weighted average of the factors'
+// risks on a 0-100 scale, counting only factors whose input is known, and a factor at
+// full risk lifts the score to at least its `floor`. Every step is reported in the
+// breakdown, so a level can always be traced back to the inputs behind it.
+
+const loadRules = () => {
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(riskConfig.path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot load risk rules from ${riskConfig.path}: ${error.message}`);
+  }
+  if (!Array.isArray(rules.levels) || rules.levels.length === 0 || !rules.factors) {
+    throw new Error(`Risk rules in ${riskConfig.path} need levels and factors`);
+  }
+  return {
+    ...rules,
+    levels: [...rules.levels].sort((a, b) => b.minScore - a.minScore)
+  };
+};
+
+const rules = loadRules();
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const factorRisk = (factor, value) => {
+  if (value === 0 && factor.whenZero !== undefined) {
+    return clamp(factor.whenZero);
+  }
+  if (factor.high === factor.low) {
+    return value >= factor.high ? 1 : 0;
+  }
+  return clamp((value - factor.low) / (factor.high - factor.low));
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Score `inputs` ({ devPercentage, top5Percentage, spikeRatio, creatorStanding, ... };
+// null or undefined for anything unknown). Returns
+//   { score, key, level, message, color, factors: [...] }
+export const assessRisk = (inputs) => {
+  const scored = Object.entries(rules.factors).map(([name, factor]) => {
+    const value = inputs[factor.input];
+    const available = value !== null && value !== undefined && Number.isFinite(Number(value));
+    return { name, factor, value: available ? Number(value) : null, available, risk: available ? factorRisk(factor, Number(value)) : null };
+  });
+
+  const counted = scored.filter(entry => entry.available && entry.factor.weight > 0);
+  const totalWeight = counted.reduce((sum, entry) => sum + entry.factor.weight, 0);
+  const contributionOf = (entry) => (counted.includes(entry) ? (100 * entry.factor.weight * entry.risk) / totalWeight : 0);
+
+  let score = counted.reduce((sum, entry) => sum + contributionOf(entry), 0);
+
+  // A factor at full risk decides the level on its own
+  const floor = Math.max(0, ...counted.filter(entry => entry.risk === 1 && entry.factor.floor !== undefined).map(entry => entry.factor.floor));
+  score = Math.max(score, floor);
+
+  const factors = scored.map(entry => ({
+    factor: entry.name,
+    label: entry.factor.label,
+    input: entry.factor.input,
+    value: entry.value,
+    available: entry.available,
+    weight: entry.factor.weight,
+    risk: entry.available ? round(entry.risk) : null,
+    floor: entry.factor.floor ?? null,
+    contribution: round(contributionOf(entry))
+  }));
+
+  score = round(Math.min(100, score));
+  const { key, level, message, color } = rules.levels.find(candidate => score >= candidate.minScore) || rules.levels[rules.levels.length - 1];
+
+  return {
+    score,
+    key,
+    level,
+    message,
+    color,
+    factors
+  };
+};
@@ -1,29 +1,32 @@
+import { pnlConfig, reputationConfig, earlyBuyerConfig, holderSnapshotConfig } from './config.js';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import fetch from 'node-fetch';
-import { readData, writeData, deleteData } from './localStorage.js';
-import { cacheData, getCachedData, deleteCachedData } from './cache.js';
+import * as odinApi from './odinApiClient.js';
+import { getCircuitStates, isCircuitOpenError } from './circuitBreaker.js';
+import { normalize, normalizeToken, normalizeHolders, normalizeTrades, normalizeActivity, normalizeCandles, normalizeHoldings } from './normalize.js';
+import { fromDecimal, btcToNumber, tokensToNumber, btcToUsd, sumUnits, compareUnits, mulDiv, ratio, percentage, priceToNumber, BTC_DECIMALS } from './amount.js';
+import { getStore } from './localStorage.js';
+import { startCacheSweeper, getLastSweepReport } from './cacheSweeper.js';
+import { warmCache, startCacheWarmer, isCacheWarmEnabled, getLastWarmReport } from './cacheWarmer.js';
+import { cacheGet, cacheSet, cacheServe, cacheWarm, cacheTags, cachePurgeTag, cachePurgePrefix, cachePurgeAll, getMemoryCacheStats } from './cache.js';
+import { requireAdminKey } from './adminAuth.js';
+import { runInBackground, getRateLimiterStates } from './rateLimiter.js';
+import { RESOLUTIONS, getCandles, getPeakPrice } from './candles.js';
+import { PNL_METHODS, calculatePnL, replayPnL, figuresToNumbers } from './pnl.js';
+import { calculateDistribution } from './distribution.js';
+import { assessRisk } from './riskEngine.js';
+import { calculateReputation } from './reputation.js';
+import { detectEarlyBuyers } from './earlyBuyers.js';
+import { DEVELOPER_STATUSES, getDeveloper, getDeveloperRegistry, listDevelopers, setDeveloper, removeDeveloper, standingRisk } from './developerRegistry.js';
 import fs from 'fs/promises';
 import path from 'path';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
 
-// Initialize environment variables
-dotenv.config();
-
-// Cache and batch processing constants
+// Cache constants
 const CACHE_DURATION = 30000; // 30 seconds
-const INITIAL_TOKEN_LIMIT = 100; // Only process 100 tokens initially
-const BATCH_SIZE = 5;
-const BATCH_DELAY = 500; // 500ms between batches
-
-// List of trusted developer IDs
-const TRUSTED_DEVELOPERS = [
-  'vv5jb-7sm7u-vn3nq-6nflf-dghis-fd7ji-cx764-xunni-zosog-eqvpw-oae'  // bob
-];
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -38,22 +41,6 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Memory management
-const MEMORY_CACHE_SIZE = 100; // Maximum number of items in memory cache
-const MEMORY_CACHE_CLEANUP_INTERVAL = 5 * 60 * 1000; // 5 minutes
-
-// Clean up memory cache periodically
-setInterval(() => {
-  if (memoryCache.size > MEMORY_CACHE_SIZE) {
-    const entriesToDelete = Array.from(memoryCache.entries())
-      .sort((a, b) => a[1].timestamp - b[1].timestamp)
-      .slice(0, Math.floor(MEMORY_CACHE_SIZE * 0.2)); // Remove oldest 20%
-    
-    entriesToDelete.forEach(([key]) => memoryCache.delete(key));
-    console.log(`Cleaned up ${entriesToDelete.length} items from memory cache`);
-  }
-}, MEMORY_CACHE_CLEANUP_INTERVAL);
-
 // Apply rate limiting to all routes
 app.use(limiter);
 
@@ -76,7 +63,7 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-api-key, Accept, Accept-Language, Origin, Referer');
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Type, Age, X-Cache, ETag, Last-Modified');
     res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
   }
 
@@ -106,10 +93,6 @@ app.use((req, res, next) => {
   next();
 });
 
-// Add memory cache for frequently accessed tokens
-const memoryCache = new Map();
-const MEMORY_CACHE_DURATION = 60000; // 1 minute
-
 // Add this near the top of your file, after the other constants
 const DEBUG = process.env.DEBUG === 'true';
 
@@ -123,173 +106,161 @@ const log = (message, data = null) => {
   }
 };
 
-// Helper function to get random user agent
-const getRandomUserAgent = () => {
-  const chromeVersion = Math.floor(Math.random() * 20 + 100);
-  return `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${chromeVersion}.0.0.0 Safari/537.36`;
+// Answer with 503 when an upstream call was refused by an open circuit breaker.
+// Returns true when the response has been sent.
+const sendCircuitOpen = (res, error) => {
+  if (!isCircuitOpenError(error)) return false;
+
+  res.set('Retry-After', String(Math.max(1, Math.ceil(error.retryAfterMs / 1000))));
+  res.status(503).json({
+    error: 'Upstream temporarily unavailable',
+    message: error.message,
+    upstream: error.host
+  });
+  return true;
 };
 
-// Example fetch request with headers
-// ... existing code ...
+// Cache-Control for a cached result: clients may reuse it until the entry goes stale
+// and keep using it while it is being refreshed, until the entry expires
+const cacheControlOf = (result, now = Date.now()) => {
+  const seconds = (until) => Math.max(0, Math.floor(((until ?? now) - now) / 1000));
+  const maxAge = result.state === 'stale' ? 0 : seconds(result.freshUntil);
+  const staleWhileRevalidate = seconds(result.expiresAt) - maxAge;
+  return staleWhileRevalidate > 0
+    ? `public, max-age=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`
+    : `public, max-age=${maxAge}`;
+};
 
-// Update the fetchWithHeaders function
-// Update the fetchWithHeaders function
-// ... existing code ...
+// Send a cacheServe result, telling the client how old the data is: X-Cache is HIT,
+// STALE (being refreshed in the background) or MISS, and Age is in seconds. Express
+// tags the body with its weak ETag, and with Last-Modified polling clients can
+// revalidate; a matching If-None-Match or If-Modified-Since gets a bodiless 304.
+const sendCached = (res, result) => {
+  res.set('X-Cache', result.state.toUpperCase());
+  res.set('Age', String(Math.floor(result.age / 1000)));
+  res.set('Cache-Control', cacheControlOf(result));
+  if (result.storedAt) {
+    res.set('Last-Modified', new Date(result.storedAt).toUTCString());
+  }
+  res.json(result.value);
+};
 
-// ... existing code ...
+// A result for sendCached covering a response put together from several cacheServe
+// results: the oldest part gives the age, and any MISS or else any STALE part the state.
+// The response changed when its newest part was stored and is fresh as long as every part is.
+const combineCached = (results, value) => ({
+  value,
+  state: ['miss', 'stale'].find(state => results.some(result => result.state === state)) || 'hit',
+  age: Math.max(0, ...results.map(result => result.age)),
+  storedAt: results.length > 0 ? Math.max(...results.map(result => result.storedAt)) : Date.now(),
+  freshUntil: results.length > 0 ? Math.min(...results.map(result => result.freshUntil)) : Date.now(),
+  expiresAt: results.length > 0 ? Math.min(...results.map(result => result.expiresAt)) : Date.now()
+});
 
-const fetchWithHeaders = async (url, retryCount = 0, maxRetries = 5) => {
-  try {
-    console.log(`Fetching URL: ${url}, Attempt: ${retryCount + 1}`);
-    const headers = {
-      ...API_HEADERS,
-      'User-Agent': getRandomUserAgent(),
-      'Accept': 'application/json',
-      'Origin': 'https://odinscan.fun'
-    };
+// The per-token cached results that routes serve and the cache warmer preloads, each as
+// the (key, options, load) arguments of cacheServe and cacheWarm
+const tokenCaches = {
+  tokenData: (tokenId) => [
+    `token_${tokenId}`,
+    { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] },
+    () => buildTokenData(tokenId)
+  ],
+  // Combined data is fresh for 5 seconds; after that the stale payload is served while it refreshes
+  combinedData: (tokenId) => [
+    `combined_data_${tokenId}`,
+    { ttl: 5000, tags: [cacheTags.token(tokenId)] },
+    previous => buildCombinedData(tokenId, previous)
+  ],
+  metrics: (tokenId) => [
+    `token_metrics_${tokenId}`,
+    { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] },
+    () => buildTokenMetrics(tokenId)
+  ],
+  // Whale activity doesn't change that frequently, so it stays fresh for 1 minute
+  whaleActivity: (tokenId) => [
+    `whale_activity_${tokenId}`,
+    { ttl: 60000, tags: [cacheTags.token(tokenId)] },
+    () => buildWhaleActivity(tokenId)
+  ],
+  holdersPnL: (tokenId, method = pnlConfig.method) => [
+    `holders_pnl_${method}_${tokenId}`,
+    { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] },
+    () => buildHoldersPnL(tokenId, method)
+  ]
+};
 
-    const response = await fetch(url, { 
-      headers,
-      mode: 'cors',
-      credentials: 'include'
-    });
+// Token data with holders and volumes, as served by /api/token/:tokenId
+const buildTokenData = async (tokenId) => {
+  console.log('Fetching fresh data from API');
+  // Fetch token data and BTC price in parallel
+  const [tokenData, btcPriceData] = await Promise.all([
+    odinApi.getToken(tokenId).catch(error => {
+      if (isCircuitOpenError(error)) throw error;
+      throw new Error(`Token not found: ${error.status || error.message}`);
+    }),
+    odinApi.getBtcPrice().catch(() => ({ USD: 30000 }))
+  ]);
+
+  console.log('Token API Response:', tokenData);
+
+  const token = normalizeToken(tokenData);
+  if (!token) {
+    throw new Error(`Invalid token data received: ${JSON.stringify(tokenData)}`);
+  }
 
-    // Log the response status and headers for debugging
-    console.log(`Response Status: ${response.status}`);
-    console.log(`Response Headers:`, Object.fromEntries(response.headers));
+  // Calculate volume in BTC and USD
+  const volume24hBTC = btcToNumber(token.volumeBtc);
+  const volumeUSD = btcToUsd(token.volumeBtc, btcPriceData.USD);
+
+  // Process holders data (balances stay in Odin base units in the response)
+  const holders = (tokenData.holders || [])
+    .map(raw => ({ raw, holder: normalize('holder', raw) }))
+    .filter(({ holder }) => holder)
+    .sort((a, b) => compareUnits(b.holder.balance, a.holder.balance))
+    .map(({ raw, holder }) => ({
+      user: holder.user,
+      user_username: holder.username || holder.user.substring(0, 8),
+      balance: raw.balance,
+      percentage: percentage(holder.balance, token.totalSupply).toFixed(2)
+    }));
 
-    if (response.status === 403) {
-      console.warn(`403 Forbidden for URL: ${url}. Retrying with delay...`);
-      if (retryCount < maxRetries) {
-        const delay = Math.min(1000 * Math.pow(2, retryCount), 10000); // Exponential backoff
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return fetchWithHeaders(url, retryCount + 1, maxRetries);
-      } else {
-        throw new Error('Max retries reached for 403 error');
-      }
-    }
+  // Calculate 24h trades count
+  const now = new Date();
+  const last24h = new Date(now.getTime() - (24 * 60 * 60 * 1000));
+  const trades24h = normalizeTrades(tokenData.trades, `token ${tokenId}`).filter(tx => tx.time > last24h).length;
+
+  const enrichedData = {
+    ...tokenData,
+    holders,
+    holder_count: tokenData.holder_count || holders.length,
+    volume24hBTC,
+    volumeUSD,
+    trades24h,
+    btcPrice: btcPriceData.USD
+  };
 
-    if (!response.ok) {
-      const text = await response.text();
-      console.error(`API response not ok: ${response.status}, Response: ${text}`);
-      throw new Error(`API response not ok: ${response.status}`);
-    }
+  console.log('Successfully processed token data:', {
+    price: enrichedData.price,
+    volume24hBTC,
+    volumeUSD,
+    holder_count: enrichedData.holder_count,
+    trades24h
+  });
 
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error(`Error fetching ${url}:`, error.message);
-    if (retryCount < maxRetries) {
-      const delay = Math.min(1000 * Math.pow(2, retryCount), 10000);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      return fetchWithHeaders(url, retryCount + 1, maxRetries);
-    }
-    return null;
-  }
+  return enrichedData;
 };
 
-// ... existing code ...
-
-// ... existing code ...
-// ... existing code ...
-
 // Token data endpoint
 app.get('/api/token/:tokenId', async (req, res) => {
   try {
     const { tokenId } = req.params;
     console.log(`Fetching token data for ${tokenId}`);
-    
-    // Define cache keys at the start
-    const memoryCacheKey = `token_${tokenId}`;
-    const cacheKey = `token_${tokenId}`;
-
-    // Check memory cache first
-    const memoryCached = memoryCache.get(memoryCacheKey);
-    if (memoryCached && Date.now() - memoryCached.timestamp < CACHE_DURATION) {
-      console.log('Returning from memory cache');
-      return res.json(memoryCached.data);
-    }
-
-    console.log('Fetching fresh data from API');
-    // Fetch token data and BTC price in parallel
-    const [tokenResponse, btcPriceResponse] = await Promise.all([
-      fetch(`https://api.odin.fun/v1/token/${tokenId}`, {
-        headers: {
-          ...API_HEADERS,
-          'User-Agent': getRandomUserAgent()
-        }
-      }),
-      fetch('https://mempool.space/api/v1/prices')
-    ]);
-
-    console.log('API Response Status:', {
-      token: tokenResponse.status,
-      btcPrice: btcPriceResponse.status
-    });
-
-    if (!tokenResponse.ok) {
-      throw new Error(`Token not found: ${tokenResponse.status}`);
-    }
-
-    const [tokenData, btcPriceData] = await Promise.all([
-      tokenResponse.json(),
-      btcPriceResponse.ok ? btcPriceResponse.json() : { USD: 30000 }
-    ]);
-
-    console.log('Token API Response:', tokenData);
-
-    if (!tokenData || typeof tokenData !== 'object') {
-      throw new Error(`Invalid token data received: ${JSON.stringify(tokenData)}`);
-    }
-
-    // Calculate volume in BTC and USD
-    const volume24hBTC = Number(tokenData.volume) / 1e8; // Convert satoshis to BTC
-    const volumeUSD = volume24hBTC * btcPriceData.USD;
-
-    // Process holders data
-    const holders = (tokenData.holders || [])
-      .map(holder => ({
-        user: holder.user,
-        user_username: holder.user_username || holder.user.substring(0, 8),
-        balance: holder.balance,
-        percentage: ((Number(holder.balance) / Number(tokenData.total_supply)) * 100).toFixed(2)
-      }))
-      .sort((a, b) => Number(b.balance) - Number(a.balance));
-
-    // Calculate 24h trades count
-    const now = new Date();
-    const last24h = new Date(now.getTime() - (24 * 60 * 60 * 1000));
-    const trades24h = (tokenData.trades || []).filter(tx => new Date(tx.time) > last24h).length;
-
-    const enrichedData = {
-      ...tokenData,
-      holders,
-      holder_count: tokenData.holder_count || holders.length,
-      volume24hBTC,
-      volumeUSD,
-      trades24h,
-      btcPrice: btcPriceData.USD
-    };
-
-    // Update both caches
-    memoryCache.set(memoryCacheKey, {
-      data: enrichedData,
-      timestamp: Date.now()
-    });
-    await cacheData(cacheKey, enrichedData);
-
-    console.log('Successfully processed token data:', {
-      price: enrichedData.price,
-      volume24hBTC,
-      volumeUSD,
-      holder_count: enrichedData.holder_count,
-      trades24h
-    });
-
-    res.json(enrichedData);
 
+    const result = await cacheServe(...tokenCaches.tokenData(tokenId));
+    sendCached(res, result);
   } catch (error) {
     console.error('Token fetch error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(error.message.includes('not found') ? 404 : 500).json({
       error: 'Failed to fetch token data',
       message: error.message,
@@ -298,6 +269,33 @@ app.get('/api/token/:tokenId', async (req, res) => {
   }
 });
 
+// One page of token holders with their share of the supply
+const buildTokenOwners = async (tokenId, page, limit) => {
+  // Fetch from Odin API with pagination (copied, the parsed response is shared)
+  const data = { ...await odinApi.getTokenHolders(tokenId, page, limit) };
+
+  // Process holders data to include percentages
+  if (data.data && Array.isArray(data.data)) {
+    // Get total supply from token info for percentage calculation
+    const token = normalizeToken(await odinApi.getToken(tokenId));
+    const totalSupply = token?.totalSupply || 0n;
+
+    // Calculate percentages and format balances (kept in Odin base units)
+    data.data = data.data
+      .map(raw => ({ raw, holder: normalize('holder', raw) }))
+      .filter(({ holder }) => holder)
+      .map(({ raw, holder }) => ({
+        user: holder.user,
+        user_username: holder.username || holder.user.substring(0, 8),
+        balance: String(raw.balance),
+        percentage: percentage(holder.balance, totalSupply).toFixed(2) + "%"
+      }));
+  }
+
+  console.log(`Fetched ${data.data?.length || 0} holders`);
+  return data;
+};
+
 // Update the token owners endpoint
 app.get('/api/token/:tokenId/owners', async (req, res) => {
   try {
@@ -306,65 +304,11 @@ app.get('/api/token/:tokenId/owners', async (req, res) => {
 
     console.log(`Fetching holders for token ${tokenId}, page ${page}, limit ${limit}`);
 
-    // Check cache first
-    const cacheKey = `holders_${tokenId}_${page}_${limit}`;
-    const cachedData = await getCachedData(cacheKey, CACHE_DURATION);
-
-    if (cachedData) {
-      console.log('Returning cached holders data');
-      return res.json(cachedData);
-    }
-
-    // Fetch from Odin API with pagination
-    const response = await fetch(
-      `https://api.odin.fun/v1/token/${tokenId}/owners?page=${page}&limit=${limit}`,
-      {
-        headers: {
-          ...API_HEADERS,
-          'User-Agent': getRandomUserAgent(),
-        }
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch holders: ${response.status}`);
-    }
-
-    const data = await response.json();
-    
-    // Process holders data to include percentages
-    if (data.data && Array.isArray(data.data)) {
-      // Get total supply from token info for percentage calculation
-      const tokenResponse = await fetch(
-        `https://api.odin.fun/v1/token/${tokenId}`,
-        {
-          headers: {
-            ...API_HEADERS,
-            'User-Agent': getRandomUserAgent(),
-          }
-        }
-      );
-      
-      const tokenData = await tokenResponse.json();
-      const totalSupply = tokenData.total_supply || "0";
-
-      // Calculate percentages and format balances
-      data.data = data.data.map(holder => ({
-        user: holder.user,
-        user_username: holder.user_username || holder.user.substring(0, 8),
-        balance: holder.balance.toString(),
-        percentage: ((Number(holder.balance) / Number(totalSupply)) * 100).toFixed(2) + "%"
-      }));
-    }
-
-    // Cache the processed data
-    await cacheData(cacheKey, data, CACHE_DURATION);
-
-    console.log(`Returning ${data.data?.length || 0} holders`);
-    res.json(data);
-
+    const result = await cacheServe(`holders_${tokenId}_${page}_${limit}`, { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] }, () => buildTokenOwners(tokenId, page, limit));
+    sendCached(res, result);
   } catch (error) {
     console.error('Token owners fetch error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ 
       error: 'Failed to fetch token holders',
       message: error.message,
@@ -382,34 +326,13 @@ app.get('/api/token/:tokenId/trades', async (req, res) => {
     const { tokenId } = req.params;
     const { page = 1, limit = 100 } = req.query; // Default to 100 trades per page
 
-    // Check cache first
     const cacheKey = `trades_${tokenId}_${page}_${limit}`;
-    const { data: cachedTrades } = await getCachedData(cacheKey, CACHE_DURATION) || {};
-
-    if (cachedTrades) {
-      return res.json(cachedTrades);
-    }
-
-    // Fetch from Odin API with pagination
-    const response = await fetch(`https://api.odin.fun/v1/token/${tokenId}/trades?page=${page}&limit=${limit}`, {
-      headers: {
-        ...API_HEADERS,
-        'User-Agent': getRandomUserAgent(),
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`API response not ok: ${response.status}`);
-    }
-
-    const data = await response.json();
+    const result = await cacheServe(cacheKey, { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] }, () => odinApi.getTokenTrades(tokenId, page, limit));
 
-    // Cache the response
-    await cacheData(cacheKey, data, CACHE_DURATION);
-
-    res.json(data);
+    sendCached(res, result);
   } catch (error) {
     console.error('Trades fetch error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ 
       error: 'Failed to fetch trading data',
       message: error.message,
@@ -423,26 +346,38 @@ app.get('/api/user/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
 
-    // Check cache first
-    const { data: cachedUser } = await getCachedData('users', userId, CACHE_DURATION);
-
-    if (cachedUser) {
-      return res.json(cachedUser);
-    }
-
-    // Fetch from Odin API using the new client
-    const data = await odinApi.getUser(userId);
-
-    // Cache the response
-    await cacheData('users', userId, data, CACHE_DURATION);
+    // Cached, or fetched from Odin API using the new client
+    const result = await cacheServe(`users_${userId}`, { ttl: CACHE_DURATION, tags: [cacheTags.user(userId)] }, () => odinApi.getUser(userId));
 
-    res.json(data);
+    sendCached(res, result);
   } catch (error) {
     console.error('User fetch error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch user data' });
   }
 });
 
+// Price of a token in BTC, or null when the token doesn't exist
+const buildTokenPrice = async (tokenId) => {
+  // Fetch from token endpoint
+  const token = normalizeToken(await odinApi.getToken(tokenId));
+
+  if (!token) {
+    return null;
+  }
+
+  // Calculate price, falling back to market cap over supply
+  const btcPrice = token.priceBtc !== null
+    ? btcToNumber(token.priceBtc)
+    : priceToNumber(token.marketcapBtc || 0n, token.totalSupply || 0n);
+
+  return {
+    btcPrice: btcPrice,
+    tokenPrice: btcPrice,
+    usdPrice: btcPrice.toFixed(8)
+  };
+};
+
 // Update the price endpoint with proper error handling
 app.get('/api/price', async (req, res) => {
   try {
@@ -456,53 +391,21 @@ app.get('/api/price', async (req, res) => {
       });
     }
 
-    // Check cache first
-    const { data: cachedPrice } = await getCachedData(`prices_${tokenId}`, CACHE_DURATION) || {};
-
-    if (cachedPrice) {
-      return res.json(cachedPrice.data);
-    }
-
-    // Fetch from token endpoint
-    const response = await fetch(`https://api.odin.fun/v1/token/${tokenId}`, {
-      headers: {
-        ...API_HEADERS,
-        'User-Agent': getRandomUserAgent(),
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`API response not ok: ${response.status}`);
-    }
-
-    const data = await response.json();
+    const result = await cacheServe(`prices_${tokenId}`, { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] }, () => buildTokenPrice(tokenId));
 
-    if (!data) {
+    if (result.value === null) {
       return res.status(404).json({
         error: 'Token not found',
         message: `No data found for token ID: ${tokenId}`
       });
     }
 
-    // Calculate price
-    const totalSupply = Number(data.total_supply || 0) / 1e18;
-    const marketcap = Number(data.marketcap || 0); // In satoshis
-    const btcPrice = totalSupply > 0 ? marketcap / 1e8 / totalSupply : 0; // First convert marketcap to BTC, then divide by supply
-    
-    const priceData = {
-      btcPrice: btcPrice,
-      tokenPrice: btcPrice,
-      usdPrice: btcPrice.toFixed(8)
-    };
-
-    // Cache the data
-    await cacheData(`prices_${tokenId}`, priceData, CACHE_DURATION);
-
-    console.log('Sending price data:', priceData);
-    return res.json(priceData);
+    console.log('Sending price data:', result.value);
+    return sendCached(res, result);
 
   } catch (error) {
     console.error('Price fetch error:', error);
+    if (sendCircuitOpen(res, error)) return;
     return res.status(500).json({ 
       error: 'Failed to fetch price data',
       message: error.message,
@@ -524,26 +427,13 @@ app.get('/api/user/:userId/created', async (req, res) => {
     const { userId } = req.params;
     const cacheKey = `user_created_${userId}`;
 
-    // Check Supabase cache first
-    const { data: cachedData } = await getCachedData(cacheKey, USER_CREATED_CACHE_DURATION);
-
-    if (cachedData) {
-      return res.json(cachedData.data);
-    }
-
-    // Fetch from Odin API if not in cache
-    const data = await fetchOdinAPI(`/user/${userId}/created`, {
-      sort: 'last_action_time:desc',
-      page: '1',
-      limit: '999999'
-    });
-
-    // Save to Supabase cache
-    await cacheData(cacheKey, data, USER_CREATED_CACHE_DURATION);
+    // Cached, or fetched from Odin API
+    const result = await cacheServe(cacheKey, { ttl: USER_CREATED_CACHE_DURATION, tags: [cacheTags.user(userId)] }, () => odinApi.getAllUserCreated(userId));
 
-    res.json(data);
+    sendCached(res, result);
   } catch (error) {
     console.error('Created tokens fetch error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch created tokens' });
   }
 });
@@ -563,44 +453,184 @@ app.get('/api/user/:userId/tokens', async (req, res) => {
   try {
     const { userId } = req.params;
     
-    // Check Supabase cache first
-    const { data: cachedHoldings, error: cacheError } = await getCachedData(`user_holdings_${userId}`, CACHE_DURATION);
+    // Cached, or fetched from Odin API
+    const result = await cacheServe(`user_holdings_${userId}`, { ttl: CACHE_DURATION, tags: [cacheTags.user(userId)] }, () => odinApi.getAllUserTokens(userId));
 
-    if (cachedHoldings) {
-      return res.json(cachedHoldings.data);
-    }
+    sendCached(res, result);
+  } catch (error) {
+    console.error('Token holdings fetch error:', error);
+    if (sendCircuitOpen(res, error)) return;
+    res.status(500).json({ 
+      error: 'Failed to fetch token holdings',
+      data: { data: [] } // Return empty array as fallback
+    });
+  }
+});
 
-    // Fetch from Odin API if not in cache
-    const response = await fetch(
-      `https://api.odin.fun/v1/user/${userId}/tokens`,
-      {
-        headers: {
-          ...API_HEADERS,
-          'User-Agent': getRandomUserAgent(),
-        },
-      }
-    );
+// Everything a wallet holds, valued at current prices. Cost basis and PnL per position
+// come from the wallet's own trade history through the same engine as the PnL routes.
+// Positions no price could be found for have no value, so they are left out of the
+// totals and summed up apart under `unpriced`.
+const buildPortfolio = async (userId, method) => {
+  const [holdingsData, activityData, btcPriceData] = await Promise.all([
+    odinApi.getAllUserTokens(userId),
+    odinApi.getAllUserActivity(userId),
+    odinApi.getBtcPrice()
+  ]);
+  const btcUsd = btcPriceData.USD;
+
+  const holdings = normalizeHoldings(holdingsData.data, `user ${userId} tokens`).filter(h => h.balance > 0n);
+  const activity = normalizeActivity(activityData.data, `user ${userId} activity`);
+
+  // Holdings listed without a price are priced from the token itself
+  const positions = await Promise.all(holdings.map(async (holding) => {
+    const priceBtc = holding.priceBtc ?? await odinApi.getToken(holding.tokenId)
+      .then(token => normalizeToken(token)?.priceBtc ?? null)
+      .catch(error => {
+        if (isCircuitOpenError(error)) throw error;
+        console.error(`No price for token ${holding.tokenId}:`, error.message);
+        return null;
+      });
+
+    const trades = activity.filter(a => a.tokenId === holding.tokenId);
+    const replay = replayPnL(trades, { method, priceBtc: priceBtc ?? 0n, balance: holding.balance });
+    return { holding, priceBtc, replay };
+  }));
+
+  const sumFigures = (group, names) => Object.fromEntries(names.map(name => [
+    name,
+    group.reduce((sum, position) => sum + position.replay.figures[name], 0n)
+  ]));
+  const priced = positions.filter(position => position.priceBtc !== null);
+  const unpriced = positions.filter(position => position.priceBtc === null);
+  const totals = sumFigures(priced, ['marketValue', 'costBasis', 'realized', 'unrealized', 'total']);
+  const unpricedTotals = sumFigures(unpriced, ['costBasis', 'realized']);
+
+  // Without a price only the cost basis and what was already realized are known
+  const positionFigures = ({ marketValue, costBasis, realized, unrealized, total }, isPriced) => {
+    if (isPriced) {
+      return figuresToNumbers({ value: marketValue, costBasis, realized, unrealized, pnl: total }, btcUsd);
+    }
+    const { btc, usd } = figuresToNumbers({ costBasis, realized }, btcUsd);
+    const withUnknown = (known) => ({ value: null, ...known, unrealized: null, pnl: null });
+    return { btc: withUnknown(btc), usd: withUnknown(usd) };
+  };
+
+  return {
+    userId,
+    method,
+    // False when the wallet holds more tokens than the walk could list
+    complete: holdingsData.complete,
+    btcUsdPrice: btcUsd,
+    totals: {
+      positions: priced.length,
+      ...figuresToNumbers({
+        value: totals.marketValue,
+        costBasis: totals.costBasis,
+        realized: totals.realized,
+        unrealized: totals.unrealized,
+        pnl: totals.total
+      }, btcUsd)
+    },
+    unpriced: {
+      positions: unpriced.length,
+      tokens: unpriced.map(({ holding }) => holding.tokenId),
+      ...figuresToNumbers(unpricedTotals, btcUsd)
+    },
+    positions: [...priced, ...unpriced]
+      .sort((a, b) => compareUnits(b.replay.figures.marketValue, a.replay.figures.marketValue))
+      .map(({ holding, priceBtc, replay }) => {
+        const isPriced = priceBtc !== null;
+        return {
+          tokenId: holding.tokenId,
+          name: holding.name,
+          ticker: holding.ticker,
+          balance: tokensToNumber(holding.balance),
+          priced: isPriced,
+          price: {
+            btc: isPriced ? btcToNumber(priceBtc) : null,
+            usd: isPriced ? btcToUsd(priceBtc, btcUsd) : null
+          },
+          share: isPriced ? percentage(replay.figures.marketValue, totals.marketValue) : null,
+          uncostedTokens: tokensToNumber(replay.held - replay.costed),
+          ...positionFigures(replay.figures, isPriced)
+        };
+      })
+  };
+};
 
-    if (!response.ok) {
-      throw new Error(`API response not ok: ${response.status}`);
+app.get('/api/user/:userId/portfolio', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const method = pnlMethodOf(req);
+    if (!method) {
+      return res.status(400).json({ error: 'Invalid method', message: `method must be one of ${PNL_METHODS.join(', ')}` });
     }
 
-    const data = await response.json();
+    const result = await cacheServe(`user_portfolio_${method}_${userId}`, { ttl: CACHE_DURATION, tags: [cacheTags.user(userId)] }, () => buildPortfolio(userId, method));
+    sendCached(res, result);
+  } catch (error) {
+    console.error('Portfolio error:', error);
+    if (sendCircuitOpen(res, error)) return;
+    res.status(500).json({ error: 'Failed to fetch portfolio' });
+  }
+});
 
-    // Save to Supabase
-    const { error: upsertError } = await writeData(`user_holdings_${userId}`, data, CACHE_DURATION);
+// Reputation of a token creator from their newest reputationConfig.maxTokens launches:
+// the creator's own trades and balances in each, and each token's peak price from its
+// candle series. Every launch is still listed in `launchedTokens`.
+const buildCreatorReputation = async (userId) => {
+  const [createdData, activityData, holdingsData, btcPriceData] = await Promise.all([
+    odinApi.getAllUserCreated(userId, { sort: 'created_time:desc' }),
+    odinApi.getAllUserActivity(userId),
+    odinApi.getAllUserTokens(userId),
+    odinApi.getBtcPrice()
+  ]);
+
+  const created = (createdData.data || []).map(normalizeToken).filter(Boolean);
+  const evaluated = created.slice(0, reputationConfig.maxTokens);
+  const activity = normalizeActivity(activityData.data, `user ${userId} activity`);
+  const balances = new Map(normalizeHoldings(holdingsData.data, `user ${userId} tokens`).map(h => [h.tokenId, h.balance]));
+
+  const launches = await Promise.all(evaluated.map(async (token) => ({
+    token,
+    devTrades: activity.filter(a => a.tokenId === token.id),
+    // A launch missing from a walk that stopped at the cap may still be held
+    devBalance: balances.get(token.id) ?? (holdingsData.complete ? 0n : null),
+    peakPriceBtc: await getPeakPrice(token.id).catch(error => {
+      if (isCircuitOpenError(error)) throw error;
+      console.error(`No peak price for token ${token.id}:`, error.message);
+      return 0n;
+    })
+  })));
 
-    if (upsertError) {
-      console.error('Supabase upsert error:', upsertError);
-    }
+  return {
+    userId,
+    // False when the creator has launched more tokens than the walk could list
+    complete: createdData.complete,
+    activityComplete: activityData.complete,
+    holdingsComplete: holdingsData.complete,
+    createdTokens: createdData.count,
+    launchedTokens: created.map(token => ({ tokenId: token.id, ticker: token.ticker })),
+    btcUsdPrice: btcPriceData.USD,
+    ...calculateReputation(launches, { btcUsd: btcPriceData.USD })
+  };
+};
 
-    res.json(data);
+const serveCreatorReputation = (userId) => cacheServe(
+  `creator_reputation_${userId}`,
+  { ttl: reputationConfig.cacheTtl, tags: [cacheTags.user(userId)] },
+  () => buildCreatorReputation(userId)
+);
+
+app.get('/api/creator/:userId/reputation', async (req, res) => {
+  try {
+    const result = await serveCreatorReputation(req.params.userId);
+    sendCached(res, result);
   } catch (error) {
-    console.error('Token holdings fetch error:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch token holdings',
-      data: { data: [] } // Return empty array as fallback
-    });
+    console.error('Creator reputation error:', error);
+    if (sendCircuitOpen(res, error)) return;
+    res.status(500).json({ error: 'Failed to build creator reputation' });
   }
 });
 
@@ -609,144 +639,238 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-// Update the combined data endpoint with proper CORS handling
-app.get('/api/token-data/:tokenId', async (req, res) => {
+// Circuit breaker state, rate limits and health of every upstream host we talk to
+app.get('/health/upstreams', (req, res) => {
+  const upstreams = getCircuitStates();
+  res.json({
+    status: upstreams.some(upstream => upstream.state !== 'closed') ? 'degraded' : 'ok',
+    upstreams,
+    rateLimits: getRateLimiterStates(),
+    requests: odinApi.getRequestStats()
+  });
+});
+
+// Storage backend and what the last cache sweep reclaimed
+app.get('/health/storage', async (req, res) => {
+  const store = await getStore();
+  res.json({
+    backend: store.name,
+    memoryCache: getMemoryCacheStats(),
+    lastSweep: getLastSweepReport(),
+    lastWarm: getLastWarmReport()
+  });
+});
+
+// Purge cached data by tag ("token:<id>", "user:<id>" or "global"), by key prefix, or
+// everything with { "all": true }
+app.post('/admin/cache/purge', requireAdminKey, async (req, res) => {
   try {
-    const { tokenId } = req.params;
-    console.log(`Processing token data for: ${tokenId}`);
-    
-    // Check cache first with proper null handling
-    const cachedResult = await getCachedData(`combined_data_${tokenId}`, 5000);
-    if (cachedResult?.data) {
-      console.log('Returning cached data');
-      return res.json(cachedResult.data);
+    const { tag, prefix, all } = req.body || {};
+
+    let purged;
+    if (typeof tag === 'string' && tag) {
+      purged = await cachePurgeTag(tag);
+    } else if (typeof prefix === 'string' && prefix) {
+      purged = await cachePurgePrefix(prefix);
+    } else if (all === true) {
+      purged = await cachePurgeAll();
+    } else {
+      return res.status(400).json({
+        error: 'Missing purge target',
+        message: 'Pass one of tag, prefix or all: true'
+      });
     }
 
-    // Get previous holder count with null safety
-    const previousResult = await getCachedData(`combined_data_${tokenId}`, 5000);
-    const previousHolderCount = previousResult?.data?.token?.holder_count || 0;
+    console.log(`Admin cache purge (${JSON.stringify({ tag, prefix, all })}) removed ${purged} entries`);
+    res.json({ purged });
+  } catch (error) {
+    console.error('Cache purge error:', error);
+    res.status(500).json({ error: 'Failed to purge cache', message: error.message });
+  }
+});
 
-    console.log('Fetching data from API...');
-    
-    // Fetch all data in parallel with proper error handling
-    const [tokenResponse, holdersResponse, tradesResponse, btcPriceResponse] = await Promise.allSettled([
-      fetch(`https://api.odin.fun/v1/token/${tokenId}`, {
-        headers: {
-          ...API_HEADERS,
-          'User-Agent': getRandomUserAgent()
-        }
-      }),
-      fetch(`https://api.odin.fun/v1/token/${tokenId}/owners?page=1&limit=100`, {
-        headers: {
-          ...API_HEADERS,
-          'User-Agent': getRandomUserAgent()
-        }
-      }),
-      fetch(`https://api.odin.fun/v1/token/${tokenId}/trades?page=1&limit=9999`, {
-        headers: {
-          ...API_HEADERS,
-          'User-Agent': getRandomUserAgent()
-        }
-      }),
-      fetch('https://mempool.space/api/v1/prices')
-    ]);
+// Registry status feeds token analysis and the holders PnL flags, so cached results
+// built with the old status go
+const purgeDeveloperDependents = async () => {
+  await cachePurgePrefix('token_analysis_');
+  await cachePurgePrefix('holders_pnl_');
+};
 
-    // Process responses with proper error handling
-    const tokenData = tokenResponse.status === 'fulfilled' && tokenResponse.value.ok ? 
-      await tokenResponse.value.json() : {};
-      
-    const holdersData = holdersResponse.status === 'fulfilled' && holdersResponse.value.ok ? 
-      await holdersResponse.value.json() : { data: [] };
-      
-    const tradesData = tradesResponse.status === 'fulfilled' && tradesResponse.value.ok ? 
-      await tradesResponse.value.json() : { data: [] };
-      
-    const btcPriceData = btcPriceResponse.status === 'fulfilled' && btcPriceResponse.value.ok ? 
-      await btcPriceResponse.value.json() : { USD: 0 };
-
-    console.log('API responses received:', {
-      hasTokenData: Object.keys(tokenData).length > 0,
-      holdersCount: holdersData.data?.length || 0,
-      tradesCount: tradesData.data?.length || 0,
-      btcPrice: btcPriceData.USD
-    });
+// Developer registry: ?status= filters by status, ?expired=true includes expired entries
+app.get('/admin/developers', requireAdminKey, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !DEVELOPER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', message: `status must be one of ${DEVELOPER_STATUSES.join(', ')}` });
+    }
+    const developers = await listDevelopers({ status, includeExpired: req.query.expired === 'true' });
+    res.json({ developers, count: developers.length });
+  } catch (error) {
+    console.error('Developer registry error:', error);
+    res.status(500).json({ error: 'Failed to list developers', message: error.message });
+  }
+});
 
-    // Add fallback values for tokenData
-    const safeTokenData = {
-      holder_count: holdersData.data?.length || 0,
-      total_supply: tokenData.total_supply || '0',
-      marketcap: tokenData.marketcap || '0',
-      ...tokenData
-    };
+app.get('/admin/developers/:userId', requireAdminKey, async (req, res) => {
+  try {
+    const developer = await getDeveloper(req.params.userId);
+    if (!developer) {
+      return res.status(404).json({ error: 'Developer not in registry' });
+    }
+    res.json(developer);
+  } catch (error) {
+    console.error('Developer registry error:', error);
+    res.status(500).json({ error: 'Failed to fetch developer', message: error.message });
+  }
+});
 
-    // Calculate holder growth rate with null safety
-    const currentHolderCount = safeTokenData.holder_count;
-    const holderGrowthRate = previousHolderCount > 0 
-      ? ((currentHolderCount - previousHolderCount) / previousHolderCount) * 100 
-      : 0;
+// Add or update a developer: { status, note, expiresAt, addedBy }. addedBy names the
+// admin making the change and is recorded on the entry.
+app.put('/admin/developers/:userId', requireAdminKey, async (req, res) => {
+  try {
+    const { status, note, expiresAt, addedBy } = req.body || {};
+    const by = typeof addedBy === 'string' && addedBy.trim() ? addedBy.trim() : 'admin';
 
-    // Safe BigInt conversions
-    const totalSupply = BigInt(safeTokenData.total_supply || '0');
-    const marketcap = BigInt(safeTokenData.marketcap || '0');
+    const developer = await setDeveloper(req.params.userId, { status, note, expiresAt }, by);
+    await purgeDeveloperDependents();
 
-    // Convert to numbers safely
-    const totalSupplyNumber = Number(totalSupply) / 1e11;
-    const marketcapBTC = Number(marketcap) / 1e8;
-    
-    // Fix price calculation with safe defaults
-    const satoshiPrice = safeTokenData.price || 0;
-    const btcPrice = satoshiPrice / 1e9;
-    const usdPrice = (btcPrice * btcPriceData.USD) / 100;
-
-    // Calculate volume metrics safely
-    const trades = tradesData.data || [];
-    const volumeMetrics = calculateVolumeMetrics(trades, btcPriceData.USD);
-
-    // Check dev holdings safely
-    const devHolder = holdersData.data?.find(h => h.user === safeTokenData.creator);
-    const devHoldings = devHolder ? Number(devHolder.balance) : 0;
-    const devPercentage = (devHoldings / Number(safeTokenData.total_supply || 1)) * 100;
-
-    const dangers = [];
-    if (devHoldings === 0) {
-      dangers.push('Developer has sold their entire position');
+    console.log(`Admin ${by} set developer ${developer.userId} to ${developer.status}`);
+    res.json(developer);
+  } catch (error) {
+    if (error.code === 'INVALID_DEVELOPER_ENTRY') {
+      return res.status(error.status).json({ error: 'Invalid developer entry', message: error.message });
+    }
+    console.error('Developer registry error:', error);
+    res.status(500).json({ error: 'Failed to update developer', message: error.message });
+  }
+});
+
+app.delete('/admin/developers/:userId', requireAdminKey, async (req, res) => {
+  try {
+    if (!await removeDeveloper(req.params.userId)) {
+      return res.status(404).json({ error: 'Developer not in registry' });
     }
+    await purgeDeveloperDependents();
+
+    console.log(`Admin removed developer ${req.params.userId} from the registry`);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Developer registry error:', error);
+    res.status(500).json({ error: 'Failed to remove developer', message: error.message });
+  }
+});
+
+// Token, holders, trades and derived metrics in one payload. `previous` is the payload
+// this one replaces, if any, and gives the holder growth since then.
+const buildCombinedData = async (tokenId, previous) => {
+  const previousHolderCount = previous?.token?.holder_count || 0;
+
+  console.log('Fetching data from API...');
+  
+  // Fetch all data in parallel with proper error handling
+  const [tokenResponse, holdersResponse, tradesResponse, btcPriceResponse] = await Promise.allSettled([
+    odinApi.getToken(tokenId),
+    odinApi.getAllTokenHolders(tokenId),
+    odinApi.getAllTokenTrades(tokenId),
+    odinApi.getBtcPrice()
+  ]);
+
+  // Without the token itself there is nothing worth serving while Odin is unavailable
+  if (tokenResponse.status === 'rejected' && isCircuitOpenError(tokenResponse.reason)) {
+    throw tokenResponse.reason;
+  }
+
+  // Process responses with proper error handling
+  const tokenData = tokenResponse.status === 'fulfilled' ? tokenResponse.value : {};
+  const holdersData = holdersResponse.status === 'fulfilled' ? holdersResponse.value : { data: [] };
+  const tradesData = tradesResponse.status === 'fulfilled' ? tradesResponse.value : { data: [] };
+  const btcPriceData = btcPriceResponse.status === 'fulfilled' ? btcPriceResponse.value : { USD: 0 };
+
+  console.log('API responses received:', {
+    hasTokenData: Object.keys(tokenData).length > 0,
+    holdersCount: holdersData.data?.length || 0,
+    tradesCount: tradesData.data?.length || 0,
+    btcPrice: btcPriceData.USD
+  });
+
+  // Add fallback values for tokenData
+  const safeTokenData = {
+    holder_count: holdersData.data?.length || 0,
+    total_supply: tokenData.total_supply || '0',
+    marketcap: tokenData.marketcap || '0',
+    ...tokenData
+  };
+
+  // Calculate holder growth rate with null safety
+  const currentHolderCount = safeTokenData.holder_count;
+  const holderGrowthRate = previousHolderCount > 0 
+    ? ((currentHolderCount - previousHolderCount) / previousHolderCount) * 100 
+    : 0;
+
+  // Canonical views of the upstream payloads for all calculations below
+  const token = normalizeToken(safeTokenData);
+  const holders = normalizeHolders(holdersData.data, `token ${tokenId} owners`);
+  const trades = normalizeTrades(tradesData.data, `token ${tokenId} trades`);
+
+  const btcPrice = btcToNumber(token?.priceBtc);
+  const usdPrice = btcToUsd(token?.priceBtc, btcPriceData.USD);
+
+  // Calculate volume metrics safely
+  const volumeMetrics = calculateVolumeMetrics(trades, btcPriceData.USD);
+
+  // Check dev holdings safely
+  const devHolder = holders.find(h => h.user === token?.creator);
+  const devHoldings = devHolder ? devHolder.balance : 0n;
 
-    // Calculate PnL safely
-    const holderPnL = await calculateHolderPnL(holdersData.data || [], trades, {
+  const dangers = [];
+  if (devHoldings === 0n) {
+    dangers.push('Developer has sold their entire position');
+  }
+
+  // Calculate PnL safely
+  const holderPnL = await calculateHolderPnL(holders, tokenId, {
+    priceBtc: token?.priceBtc,
+    btcUsd: btcPriceData.USD
+  });
+
+  const top10PnL = Array.isArray(holderPnL) ? holderPnL.slice(0, 10) : [];
+
+  const combinedData = {
+    token: safeTokenData,
+    holders: holdersData,
+    trades: tradesData,
+    btcUsdPrice: btcPriceData.USD,
+    holderGrowth: holderGrowthRate,
+    price: {
       btcPrice,
       tokenPrice: btcPrice,
       usdPrice: usdPrice.toFixed(8)
-    }, tokenId);
-
-    const top10PnL = Array.isArray(holderPnL) ? holderPnL.slice(0, 10) : [];
+    },
+    volumeMetrics,
+    dangers,
+    holderPnL: {
+      top10: top10PnL,
+      totalPnL: top10PnL.reduce((sum, h) => sum + (h.pnl || 0), 0)
+    }
+  };
 
-    const combinedData = {
-      token: safeTokenData,
-      holders: holdersData,
-      trades: tradesData,
-      btcUsdPrice: btcPriceData.USD,
-      holderGrowth: holderGrowthRate,
-      price: {
-        btcPrice,
-        tokenPrice: btcPrice,
-        usdPrice: usdPrice.toFixed(8)
-      },
-      volumeMetrics,
-      dangers,
-      holderPnL: {
-        top10: top10PnL,
-        totalPnL: top10PnL.reduce((sum, h) => sum + (h.pnl || 0), 0)
-      }
-    };
+  console.log('Successfully processed token data');
+  return combinedData;
+};
 
-    // Cache the result
-    await cacheData(`combined_data_${tokenId}`, combinedData, CACHE_DURATION);
+const serveCombinedData = (tokenId) => cacheServe(...tokenCaches.combinedData(tokenId));
 
-    console.log('Successfully processed token data');
-    res.json(combinedData);
+// Update the combined data endpoint with proper CORS handling
+app.get('/api/token-data/:tokenId', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    console.log(`Processing token data for: ${tokenId}`);
+    
+    const result = await serveCombinedData(tokenId);
+    sendCached(res, result);
   } catch (error) {
     console.error('Combined data error:', error);
+    if (sendCircuitOpen(res, error)) return;
     // Return a safe fallback response
     res.status(500).json({
       error: 'Failed to fetch combined data',
@@ -781,162 +905,181 @@ app.get('/api/token-data/:tokenId', async (req, res) => {
 });
 
 // Add this new endpoint for token analysis
-app.get('/api/token-analysis/:tokenId', async (req, res) => {
-  try {
-    const { tokenId } = req.params;
-    console.log(`Analyzing token data for: ${tokenId}`);
+// Risk level, dangers and distribution of a token, from its combined data
+const buildTokenAnalysis = async (tokenId) => {
+  // Get combined data first, through the same cache as /api/token-data/:tokenId
+  const { value: combinedData } = await serveCombinedData(tokenId);
+
+  // Log the combined data for debugging
+  console.log('Combined data fetched:', combinedData);
+
+  // Extract necessary data
+  const {
+    token: tokenData,
+    holders: { data: rawHolders },
+    trades: { data: rawTrades },
+    btcUsdPrice,
+    holderGrowth
+  } = combinedData;
+
+  const token = normalizeToken(tokenData) || {};
+  const holders = normalizeHolders(rawHolders, `token ${tokenId} owners`)
+    .sort((a, b) => compareUnits(b.balance, a.balance));
+  const trades = normalizeTrades(rawTrades, `token ${tokenId} trades`);
+
+  // Churn needs every holder, or holders left off the list would count as lost
+  const currentHolders = holders.filter(h => h.balance > 0n);
+  const holderSnapshot = combinedData.holders.complete === false ? null : await rollHolderSnapshot(tokenId, currentHolders);
+  const holderChurn = holderChurnSince(holderSnapshot, currentHolders);
+
+  // Log extracted data
+  console.log('Extracted data:', { token, holders: holders.length, trades: trades.length });
+
+  // Calculate risk analysis
+  const dangers = [];
+  
+  // Volume Analysis
+  const volumeMetrics = calculateVolumeMetrics(trades, btcUsdPrice);
+  console.log('Volume metrics calculated:', volumeMetrics);
 
-    // Get combined data first
-    const combinedResponse = await fetch(`${API_URL}/api/token-data/${tokenId}`);
-    if (!combinedResponse.ok) {
-      throw new Error('Failed to fetch combined data');
-    }
-    const combinedData = await combinedResponse.json();
-
-    // Log the combined data for debugging
-    console.log('Combined data fetched:', combinedData);
-
-    // Extract necessary data
-    const {
-      token: tokenData,
-      holders: { data: holders },
-      trades: { data: trades },
-      creator,
-      btcUsdPrice,
-      holderGrowth
-    } = combinedData;
-
-    // Log extracted data
-    console.log('Extracted data:', { tokenData, holders, trades });
-
-    // Calculate risk analysis
-    const dangers = [];
-    
-    // Volume Analysis
-    const volumeMetrics = calculateVolumeMetrics(trades, btcUsdPrice);
-    console.log('Volume metrics calculated:', volumeMetrics);
+  // Concentration over the full holder set
+  const { gini, hhi, nakamoto } = calculateDistribution(holders);
+  
+  if (volumeMetrics.spikeRatio > 3) {
+    dangers.push({
+      warning: "Unusual Volume Activity",
+      message: `24h volume is ${volumeMetrics.spikeRatio.toFixed(1)}x higher than 7-day average`
+    });
+  }
+
+  // Developer Analysis, from the creator's reputation over their launches
+  const reputation = token.creator
+    ? await serveCreatorReputation(token.creator).then(result => result.value).catch(error => {
+      if (isCircuitOpenError(error)) throw error;
+      console.error(`No reputation for creator ${token.creator}:`, error.message);
+      return null;
+    })
+    : null;
+  const otherLaunches = (reputation?.launchedTokens || []).filter(t => t.tokenId !== tokenId);
+
+  // Check creator's other tokens
+  if (otherLaunches.length > 0) {
+    const uniqueTickers = [...new Set(otherLaunches.map(t => t.ticker || t.tokenId))];
+    const displayTickers = uniqueTickers.slice(0, 5);
+    const remainingCount = uniqueTickers.length - 5;
+    const tickerDisplay = remainingCount > 0 
+      ? `${displayTickers.join(', ')} and ${remainingCount} more`
+      : displayTickers.join(', ');
     
-    if (volumeMetrics.spikeRatio > 3) {
-      dangers.push({
-        warning: "Unusual Volume Activity",
-        message: `24h volume is ${volumeMetrics.spikeRatio.toFixed(1)}x higher than 7-day average`
-      });
-    }
+    dangers.push({
+      warning: "Multiple tokens by creator",
+      message: `Developer has created ${otherLaunches.length} other ${otherLaunches.length === 1 ? 'token' : 'tokens'} (${tickerDisplay})`
+    });
+  }
 
-    // Developer Analysis
-    if (!TRUSTED_DEVELOPERS.includes(tokenData.creator)) {
-      // Check creator's other tokens
-      if (creator?.created?.length > 1) {
-        const uniqueTickers = [...new Set(creator.created.map(t => t.ticker))];
-        const displayTickers = uniqueTickers.slice(0, 5);
-        const remainingCount = uniqueTickers.length - 5;
-        const tickerDisplay = remainingCount > 0 
-          ? `${displayTickers.join(', ')} and ${remainingCount} more`
-          : displayTickers.join(', ');
-        
-        dangers.push({
-          warning: "Multiple tokens by creator",
-          message: `Developer has created ${uniqueTickers.length} tokens (${tickerDisplay})`
-        });
-      }
+  // Admins' word on the creator, from the developer registry
+  const registryEntry = token.creator ? await getDeveloper(token.creator) : null;
+  if (registryEntry && registryEntry.status !== 'trusted') {
+    dangers.push({
+      warning: registryEntry.status === 'blacklisted' ? 'Creator is blacklisted' : 'Creator is flagged',
+      message: registryEntry.note || `Developer is ${registryEntry.status} in the developer registry`
+    });
+  }
 
-      // Check dev holdings
-      const devHolder = holders.find(h => h.user === tokenData.creator);
-      const devHoldings = devHolder ? Number(devHolder.balance) : 0;
-      const devPercentage = devHoldings > 0 
-        ? (devHoldings / Number(tokenData.total_supply)) * 100 
-        : 0;
+  if (reputation?.summary.nearZero > 0) {
+    dangers.push({
+      warning: "Creator's launches went to near zero",
+      message: reputation.evidence.find(finding => finding.finding === 'nearZero').message
+    });
+  }
 
-      // Only add the developer sold position warning once
-      if (devHoldings === 0) {
-        dangers.push({
-          warning: "Developer has sold all tokens",
-          message: "Developer holds 0% of the supply"
-        });
-      }
+  // Check dev holdings
+  const devHolder = holders.find(h => h.user === token.creator);
+  const devHoldings = devHolder ? devHolder.balance : 0n;
+  const devPercentage = percentage(devHoldings, token.totalSupply || 0n);
 
-      // Distribution Analysis
-      const totalSupplyNum = Number(tokenData.total_supply);
-      const top5Holdings = holders
-        .slice(0, 5)
-        .reduce((sum, h) => sum + Number(h.balance), 0);
-      const top5Percentage = (top5Holdings / totalSupplyNum) * 100;
-
-      const top10Holdings = holders
-        .slice(0, 10)
-        .reduce((sum, h) => sum + Number(h.balance), 0);
-      const top10Percentage = (top10Holdings / totalSupplyNum) * 100;
-
-      // Determine risk level
-      let riskLevel;
-      if (devHoldings === 0) {
-        riskLevel = {
-          level: "EXTREME RISK",
-          message: "Developer has sold their entire position - Extreme risk of abandonment",
-          color: "text-red-600"
-        };
-      } else if (devPercentage >= 50 || top5Percentage >= 70) {
-        riskLevel = {
-          level: "EXTREME RISK",
-          message: "Extremely high centralization. High probability of price manipulation.",
-          color: "text-red-600"
-        };
-      } else if (devPercentage >= 30 || top5Percentage >= 50) {
-        riskLevel = {
-          level: "VERY HIGH RISK",
-          message: "Very high centralization detected. Major price manipulation risk.",
-          color: "text-red-500"
-        };
-      } else if (devPercentage >= 20 || top5Percentage >= 40) {
-        riskLevel = {
-          level: "HIGH RISK",
-          message: "High holder concentration. Exercise extreme caution.",
-          color: "text-orange-500"
-        };
-      } else {
-        riskLevel = {
-          level: "MODERATE RISK",
-          message: "Standard market risks apply. Trade carefully.",
-          color: "text-yellow-500"
-        };
-      }
+  if (devHoldings === 0n) {
+    dangers.push({
+      warning: "Developer has sold all tokens",
+      message: "Developer holds 0% of the supply"
+    });
+  }
 
-      const analysis = {
-        ...riskLevel,
-        dangers,
-        volumeMetrics,
-        distribution: {
-          devPercentage,
-          top5Percentage,
-          top10Percentage,
-          holderGrowth
-        }
-      };
+  // Distribution Analysis
+  const totalSupply = token.totalSupply || 0n;
+  const top5Holdings = sumUnits(holders.slice(0, 5).map(h => h.balance));
+  const top5Percentage = percentage(top5Holdings, totalSupply);
 
-      // Cache and send response
-      await writeData(`token_analysis_${tokenId}`, analysis, CACHE_DURATION);
+  const top10Holdings = sumUnits(holders.slice(0, 10).map(h => h.balance));
+  const top10Percentage = percentage(top10Holdings, totalSupply);
 
-      res.json(analysis);
-    } else {
-      // If creator is trusted, set a default risk level
-      const analysis = {
-        level: "LOW RISK",
-        message: "Developer is trusted. Low risk of manipulation.",
-        color: "text-green-500",
-        dangers: [],
-        volumeMetrics,
-        distribution: {
-          devPercentage: 0,
-          top5Percentage: 0,
-          top10Percentage: 0,
-          holderGrowth
-        }
-      };
+  // Snipers, only judged on a complete trade history since the first trades are the oldest
+  const earlyBuyers = combinedData.trades.complete === false ? null : detectEarlyBuyers(token, trades, holders, {
+    holdersComplete: combinedData.holders.complete !== false
+  });
+  if (earlyBuyers?.summary.snipers > 0) {
+    const { snipers, sniperShare, sniperHeldShare } = earlyBuyers.summary;
+    dangers.push({
+      warning: "Sniped launch",
+      message: `${snipers} wallets bought ${sniperShare.toFixed(1)}% of the supply within ${earlyBuyers.sniperWindow / 1000}s of launch and still hold ${sniperHeldShare.toFixed(1)}%`
+    });
+  }
+
+  const risk = assessRisk({
+    devPercentage,
+    top5Percentage,
+    gini,
+    hhi,
+    nakamoto,
+    spikeRatio: volumeMetrics.spikeRatio,
+    creatorReputation: reputation?.score ?? null,
+    holderChurn,
+    creatorStanding: standingRisk(registryEntry),
+    sniperShare: earlyBuyers?.summary.sniperShare ?? null
+  });
 
-      res.json(analysis);
+  return {
+    ...risk,
+    dangers,
+    creator: token.creator ? {
+      userId: token.creator,
+      registry: registryEntry && {
+        status: registryEntry.status,
+        note: registryEntry.note,
+        expiresAt: registryEntry.expiresAt
+      },
+      reputation: reputation && {
+        score: reputation.score,
+        launches: reputation.launches,
+        summary: reputation.summary,
+        evidence: reputation.evidence
+      }
+    } : null,
+    volumeMetrics,
+    earlyBuyers: earlyBuyers?.summary ?? null,
+    distribution: {
+      devPercentage,
+      top5Percentage,
+      top10Percentage,
+      holderGrowth,
+      holderChurn,
+      gini,
+      hhi,
+      nakamoto
     }
+  };
+};
+
+app.get('/api/token-analysis/:tokenId', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    console.log(`Analyzing token data for: ${tokenId}`);
+
+    const result = await cacheServe(`token_analysis_${tokenId}`, { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] }, () => buildTokenAnalysis(tokenId));
+    sendCached(res, result);
   } catch (error) {
     console.error('Token analysis error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({
       error: 'Failed to analyze token',
       details: error.message
@@ -944,60 +1087,136 @@ app.get('/api/token-analysis/:tokenId', async (req, res) => {
   }
 });
 
-// Add this helper function
+// Concentration measures over every holder of a token. `exclude` lists addresses to
+// leave out; the word `creator` stands for the token's creator.
+const buildTokenDistribution = async (tokenId, exclude) => {
+  const [holdersData, tokenData] = await Promise.all([
+    odinApi.getAllTokenHolders(tokenId),
+    odinApi.getToken(tokenId)
+  ]);
+  const token = normalizeToken(tokenData) || {};
+  const holders = normalizeHolders(holdersData.data, `token ${tokenId} holders`);
+  const excluded = exclude.map(address => (address === 'creator' ? token.creator : address)).filter(Boolean);
+
+  return {
+    tokenId,
+    excludedAddresses: excluded,
+    complete: holdersData.complete,
+    ...calculateDistribution(holders, { exclude: excluded })
+  };
+};
+
+app.get('/api/token/:tokenId/distribution', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const exclude = [...new Set(String(req.query.exclude || '').split(',').map(address => address.trim()).filter(Boolean))].sort();
+
+    const cacheKey = `token_distribution_${tokenId}_${exclude.join(',')}`;
+    const result = await cacheServe(cacheKey, { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] }, () => buildTokenDistribution(tokenId, exclude));
+    sendCached(res, result);
+  } catch (error) {
+    console.error('Token distribution error:', error);
+    if (sendCircuitOpen(res, error)) return;
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.status(500).json({ error: 'Failed to calculate token distribution' });
+  }
+});
+
+// Wallets that bought within `window` ms of the token's launch, from its complete trade
+// history and holder list
+const buildEarlyBuyers = async (tokenId, window, sniperWindow) => {
+  const [tokenData, tradesData, holdersData] = await Promise.all([
+    odinApi.getToken(tokenId),
+    odinApi.getAllTokenTrades(tokenId),
+    odinApi.getAllTokenHolders(tokenId)
+  ]);
+  const token = normalizeToken(tokenData) || {};
+  const trades = normalizeTrades(tradesData.data, `token ${tokenId} trades`);
+  const holders = normalizeHolders(holdersData.data, `token ${tokenId} holders`);
+  const detected = detectEarlyBuyers(token, trades, holders, { window, sniperWindow, holdersComplete: holdersData.complete });
+
+  return {
+    tokenId,
+    // The earliest trades are the last ones fetched, so an incomplete history can miss them
+    tradesComplete: tradesData.complete,
+    holdersComplete: holdersData.complete,
+    ...(detected || { launchedAt: null, window, sniperWindow, summary: null, buyers: [] })
+  };
+};
+
+// Window lengths come in seconds on the query string
+const parseWindowSeconds = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+};
+
+app.get('/api/token/:tokenId/early-buyers', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const window = parseWindowSeconds(req.query.window, earlyBuyerConfig.earlyWindow);
+    const sniperWindow = parseWindowSeconds(req.query.sniperWindow, earlyBuyerConfig.sniperWindow);
+    if (window === null || sniperWindow === null) {
+      return res.status(400).json({ error: 'Invalid window', message: 'window and sniperWindow must be positive numbers of seconds' });
+    }
+
+    const cacheKey = `token_early_buyers_${tokenId}_${window}_${sniperWindow}`;
+    const result = await cacheServe(cacheKey, { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] }, () => buildEarlyBuyers(tokenId, window, sniperWindow));
+    sendCached(res, result);
+  } catch (error) {
+    console.error('Early buyers error:', error);
+    if (sendCircuitOpen(res, error)) return;
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.status(500).json({ error: 'Failed to detect early buyers' });
+  }
+});
+
+// Volume metrics over normalized trades (see normalize.js), amounts in BTC
 const calculateVolumeMetrics = (trades, btcUsdPrice) => {
   const now = new Date();
   const last24h = new Date(now.getTime() - (24 * 60 * 60 * 1000));
   const last7d = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
 
-  const trades24h = trades.filter(tx => new Date(tx.time) > last24h);
+  const trades24h = trades.filter(tx => tx.time > last24h);
   
-  // Calculate total 24h volume in BTC (amount_btc is in satoshis)
-  const volume24h = trades24h.reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
+  // Calculate total 24h volume (exact BTC base units)
+  const volume24h = sumUnits(trades24h.map(tx => tx.amountBtc));
 
-  // Calculate buy and sell volumes in BTC
-  const buyVolume24h = trades24h
-    .filter(tx => tx.action === "BUY")
-    .reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
-  
-  const sellVolume24h = trades24h
-    .filter(tx => tx.action === "SELL")
-    .reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
+  // Calculate buy and sell volumes
+  const buyVolume24h = sumUnits(trades24h.filter(tx => tx.side === "BUY").map(tx => tx.amountBtc));
+  const sellVolume24h = sumUnits(trades24h.filter(tx => tx.side === "SELL").map(tx => tx.amountBtc));
 
   // Calculate buy/sell ratio (avoid division by zero)
-  const buySellRatio = sellVolume24h > 0 ? buyVolume24h / sellVolume24h : 1;
+  const buySellRatio = sellVolume24h > 0n ? ratio(buyVolume24h, sellVolume24h) : 1;
 
-  // Calculate 7d metrics
-  const trades7d = trades.filter(tx => {
-    const txTime = new Date(tx.time);
-    return txTime > last7d && txTime <= last24h;
-  });
-  const volume7d = trades7d.reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
-  const averageDailyVolume = volume7d / 6;
+  // Calculate 7d metrics. The daily average is volume7d / 6, so ratios against it
+  // multiply the 24h side by 6 instead of dividing and rounding first.
+  const trades7d = trades.filter(tx => tx.time > last7d && tx.time <= last24h);
+  const volume7d = sumUnits(trades7d.map(tx => tx.amountBtc));
+  const averageDailyVolume = mulDiv(volume7d, 1n, 6n);
 
   // Calculate volume change percentage
-  const volumeChange = averageDailyVolume > 0 
-    ? ((volume24h - averageDailyVolume) / averageDailyVolume * 100).toFixed(2)
+  const volumeChange = volume7d > 0n
+    ? percentage(volume24h * 6n - volume7d, volume7d).toFixed(2)
     : '0.00';
 
-  // Calculate USD values
-  const volume24hUSD = volume24h * btcUsdPrice;
-  const averageDailyVolumeUSD = averageDailyVolume * btcUsdPrice;
-  const buyVolumeUSD = buyVolume24h * btcUsdPrice;
-  const sellVolumeUSD = sellVolume24h * btcUsdPrice;
-
+  // Amounts only become Numbers (BTC and USD) here
   return {
-    volume24h,
-    volume24hUSD,
-    averageDailyVolume,
-    averageDailyVolumeUSD,
+    volume24h: btcToNumber(volume24h),
+    volume24hUSD: btcToUsd(volume24h, btcUsdPrice),
+    averageDailyVolume: btcToNumber(averageDailyVolume),
+    averageDailyVolumeUSD: btcToUsd(averageDailyVolume, btcUsdPrice),
     tradeCount24h: trades24h.length,
-    buyVolume24h,
-    buyVolumeUSD,
-    sellVolume24h,
-    sellVolumeUSD,
+    buyVolume24h: btcToNumber(buyVolume24h),
+    buyVolumeUSD: btcToUsd(buyVolume24h, btcUsdPrice),
+    sellVolume24h: btcToNumber(sellVolume24h),
+    sellVolumeUSD: btcToUsd(sellVolume24h, btcUsdPrice),
     buySellRatio,
-    spikeRatio: averageDailyVolume > 0 ? volume24h / averageDailyVolume : 1,
+    spikeRatio: volume7d > 0n ? ratio(volume24h * 6n, volume7d) : 1,
     volumeChange
   };
 };
@@ -1015,40 +1234,19 @@ app.listen(port, () => {
 
 // ... existing code ...
 
-// Add this helper function to handle Odin API requests
-const fetchOdinAPI = async (endpoint) => {
-  const response = await fetch(`https://api.odin.fun/v1${endpoint}`, {
-    headers: API_HEADERS
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Odin API error: ${response.status}`);
-  }
-  
-  return response.json();
-};
-
 // Add this new endpoint for tokens
 app.get('/api/tokens', async (req, res) => {
   try {
-    // Check cache first
-    const cachedResult = await getCachedData('all_tokens_cache', TOKEN_CACHE_DURATION);
-    if (cachedResult) {
-      console.log('Returning cached tokens');
-      return res.json(cachedResult);
-    }
-
-    console.log('No valid cache found, fetching from API');
-    // Single API call to get tokens with all needed data
     const { sort = 'created_time:desc', page = '1', limit = '20' } = req.query;
-    const data = await fetchOdinAPI('/tokens', { sort, page, limit });
+    const cacheKey = `all_tokens_cache_${sort}_${page}_${limit}`;
 
-    // Cache the new data
-    await cacheData('all_tokens_cache', data, TOKEN_CACHE_DURATION);
+    // Single API call to get tokens with all needed data
+    const result = await cacheServe(cacheKey, { ttl: TOKEN_CACHE_DURATION, tags: [cacheTags.global] }, () => odinApi.getTokens(page, limit, sort));
 
-    res.json(data);
+    sendCached(res, result);
   } catch (error) {
     console.error('Tokens fetch error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch tokens' });
   }
 });
@@ -1105,36 +1303,34 @@ const CACHE_DURATIONS = {
 // Interval moved to bottom of file
 // setInterval(checkForNewTokens, NEW_TOKEN_POLL_INTERVAL);
 
+// A page of tokens from Odin with a "new" flag on each
+const buildTokenPage = async (page, limit, sort) => {
+  // Copied, the parsed response is shared
+  const data = { ...await odinApi.getTokens(page, limit, sort) };
+
+  // Mark new tokens (created within the last 5 minutes)
+  const now = Date.now();
+  const newThreshold = 5 * 60 * 1000; // 5 minutes
+  data.data = data.data.map(token => ({
+    ...token,
+    isNew: (now - new Date(token.created_time).getTime()) < newThreshold
+  }));
+
+  return data;
+};
+
 // Update the /tokens endpoint to include a "new" flag
 app.get('/tokens', async (req, res) => {
   try {
     const { sort = 'created_time:desc', page = '1', limit = '20' } = req.query;
     const cacheKey = `tokens_${sort}_${page}_${limit}`;
 
-    // Check Supabase cache first
-    const { data: cachedTokens } = await getCachedData(cacheKey, CACHE_DURATIONS.TOKENS);
-
-    if (cachedTokens) {
-      return res.json(cachedTokens.data);
-    }
-
-    // Fetch from Odin API if not in cache
-    const data = await fetchOdinAPI('/tokens', { sort, page, limit });
-
-    // Mark new tokens (created within the last 5 minutes)
-    const now = Date.now();
-    const newThreshold = 5 * 60 * 1000; // 5 minutes
-    data.data = data.data.map(token => ({
-      ...token,
-      isNew: (now - new Date(token.created_time).getTime()) < newThreshold
-    }));
-
-    // Save to Supabase cache
-    await cacheData(cacheKey, data, CACHE_DURATIONS.TOKENS);
+    const result = await cacheServe(cacheKey, { ttl: CACHE_DURATIONS.TOKENS, tags: [cacheTags.global] }, () => buildTokenPage(page, limit, sort));
 
-    res.json(data);
+    sendCached(res, result);
   } catch (error) {
     console.error('Tokens fetch error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch tokens' });
   }
 });
@@ -1147,6 +1343,22 @@ const batchRequests = async (requests) => {
   );
 };
 
+// A token with volume metrics over its trades, as listed by /api/batch-tokens
+const buildBatchToken = async (tokenId) => {
+  const [tokenData, tradesData, btcPriceData] = await Promise.all([
+    odinApi.getToken(tokenId),
+    odinApi.getAllTokenTrades(tokenId),
+    odinApi.getBtcPrice()
+  ]);
+
+  // Add volume metrics to token data
+  const trades = normalizeTrades(tradesData.data, `token ${tokenId} trades`);
+  return {
+    ...tokenData,
+    volumeMetrics: calculateVolumeMetrics(trades, btcPriceData.USD)
+  };
+};
+
 // Update the batch tokens endpoint to use the existing tokens table
 app.get('/api/batch-tokens', async (req, res) => {
   try {
@@ -1167,87 +1379,21 @@ app.get('/api/batch-tokens', async (req, res) => {
       return res.status(400).json({ error: 'tokenIds must be an array' });
     }
 
-    // Fetch tokens and their trades in parallel
+    // Fetch tokens and their trades in parallel, each through the cache
     const tokenPromises = parsedTokenIds.map(async (tokenId) => {
       try {
-        // Check cache first
-        const { data: cachedToken } = await getCachedData(`tokens_${tokenId}`, CACHE_DURATIONS.TOKENS);
-
-        let tokenData;
-        let tradesData;
-
-        if (cachedToken) {
-          tokenData = cachedToken;
-          // Still need to fetch trades for volume metrics
-          const tradesResponse = await fetchOdinAPI(`/token/${tokenId}/trades?page=1&limit=9999`);
-          tradesData = tradesResponse;
-        } else {
-          // Fetch both token and trades data if not cached
-          [tokenData, tradesData] = await Promise.all([
-            fetchOdinAPI(`/token/${tokenId}`),
-            fetchOdinAPI(`/token/${tokenId}/trades?page=1&limit=9999`)
-          ]);
-        }
-
-        // Calculate volume metrics
-        const now = new Date();
-        const last24h = new Date(now.getTime() - (24 * 60 * 60 * 1000));
-        const last7d = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-
-        const trades = tradesData.data || [];
-        const trades24h = trades.filter(tx => new Date(tx.time) > last24h);
-        const buyTrades = trades24h.filter(tx => tx.buy);
-        const sellTrades = trades24h.filter(tx => !tx.buy);
-
-        // Calculate BTC volumes
-        const volume24h = trades24h.reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
-        const buyVolume24h = buyTrades.reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
-        const sellVolume24h = sellTrades.reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
-
-        // Calculate 7d average
-        const trades7d = trades.filter(tx => {
-          const txTime = new Date(tx.time);
-          return txTime > last7d && txTime <= last24h;
-        });
-        const volume7d = trades7d.reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
-        const averageDailyVolume = volume7d / 6;
-
-        // Get BTC/USD price
-        const btcPriceResponse = await fetch('https://mempool.space/api/v1/prices');
-        const btcPriceData = await btcPriceResponse.json();
-        const btcUsdPrice = btcPriceData.USD;
-
-        // Add volume metrics to token data
-        const enrichedTokenData = {
-          ...tokenData,
-          volumeMetrics: {
-            volume24h,
-            volume24hUSD: volume24h * btcUsdPrice,
-            tradeCount24h: trades24h.length,
-            buySellRatio: sellVolume24h > 0 ? buyVolume24h / sellVolume24h : 1,
-            buyVolume24h,
-            sellVolume24h,
-            buyVolumeUSD: buyVolume24h * btcUsdPrice,
-            sellVolumeUSD: sellVolume24h * btcUsdPrice,
-            averageDailyVolume,
-            averageDailyVolumeUSD: averageDailyVolume * btcUsdPrice
-          }
-        };
-
-        // Cache the enriched token data
-        await cacheData(`tokens_${tokenId}`, enrichedTokenData, CACHE_DURATIONS.TOKENS);
-
-        return enrichedTokenData;
+        return await cacheServe(`tokens_${tokenId}`, { ttl: CACHE_DURATIONS.TOKENS, tags: [cacheTags.token(tokenId)] }, () => buildBatchToken(tokenId));
       } catch (error) {
         console.error(`Error fetching token ${tokenId}:`, error);
         return null;
       }
     });
 
-    const tokens = await Promise.all(tokenPromises);
-    res.json(tokens.filter(Boolean));
+    const results = (await Promise.all(tokenPromises)).filter(Boolean);
+    sendCached(res, combineCached(results, results.map(result => result.value)));
   } catch (error) {
     console.error('Batch tokens error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch batch tokens' });
   }
 });
@@ -1271,41 +1417,17 @@ app.get('/api/batch-user-created', async (req, res) => {
       return res.status(400).json({ error: 'userIds must be an array' });
     }
 
-    // Check Supabase cache first
-    const { data: cachedUsers } = await getCachedData(`user_created_cache_${userIds}`, CACHE_DURATIONS.USER_DATA);
-
-    const cachedMap = new Map(cachedUsers?.map(u => [u.user_id, u.data]) || []);
-
-    // Find uncached user IDs
-    const uncachedIds = userIds.filter(id => !cachedMap.has(id));
-
-    // Fetch uncached users in parallel
-    const fetchPromises = uncachedIds.map(id =>
-      fetchOdinAPI(`/user/${id}/created`)
-        .then(data => ({ id, data }))
-        .catch(() => null)
-    );
-
-    const fetchedUsers = await batchRequests(fetchPromises);
-
-    // Cache new data
-    const validFetched = fetchedUsers.filter(u => u !== null);
-    if (validFetched.length > 0) {
-      await cacheData(`user_created_cache_${userIds}`, validFetched.map(({ id, data }) => ({
-        user_id: id,
-        data: data,
-        updated_at: new Date().toISOString()
-      })), CACHE_DURATIONS.USER_DATA);
-    }
+    // One cache entry per user; users that fail to load come back as null
+    const results = await batchRequests(userIds.map(id =>
+      cacheServe(`user_created_cache_${id}`, { ttl: CACHE_DURATIONS.USER_DATA, tags: [cacheTags.user(id)] }, () => odinApi.getUserCreated(id))
+    ));
 
-    // Combine cached and fetched data
-    const allUsers = userIds.map(id => cachedMap.get(id) || 
-      fetchedUsers.find(u => u?.id === id)?.data || null
-    );
+    const allUsers = results.map(result => result?.value ?? null);
 
-    res.json(allUsers);
+    sendCached(res, combineCached(results.filter(Boolean), allUsers));
   } catch (error) {
     console.error('Batch user-created tokens error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch batch user-created tokens' });
   }
 });
@@ -1333,38 +1455,30 @@ app.get('/api/batch-holders', async (req, res) => {
     const holdersPromises = parsedTokenIds.map(async (tokenId) => {
       try {
         const cleanTokenId = tokenId.trim();
-        // Using the correct endpoint with a large limit to get all holders
-        const url = `https://api.odin.fun/v1/token/${cleanTokenId}/owners?page=1&limit=99999`;
-        console.log('Fetching from URL:', url);
-
-        const response = await fetch(url, {
-          headers: API_HEADERS
+        const data = await odinApi.getAllTokenHolders(cleanTokenId).catch(error => {
+          console.error(`Failed to fetch holders for token ${cleanTokenId}:`, error.message);
+          return null;
         });
 
-        if (!response.ok) {
-          console.error(`Failed to fetch holders for token ${cleanTokenId}:`, response.status);
-          return { tokenId: cleanTokenId, holders: [] };
-        }
-
-        const data = await response.json();
-        
         if (!data || !Array.isArray(data.data)) {
           console.error(`Invalid data structure for token ${cleanTokenId}:`, data);
           return { tokenId: cleanTokenId, holders: [] };
         }
 
+        const holders = normalizeHolders(data.data, `token ${cleanTokenId} holders`);
+
         // Calculate total supply for percentage calculation
-        const totalSupply = data.data.reduce((sum, holder) => sum + Number(holder.balance), 0);
+        const totalSupply = sumUnits(holders.map(holder => holder.balance));
 
-        const processedHolders = data.data
-          .filter(holder => Number(holder.balance) > 0)
+        const processedHolders = holders
+          .filter(holder => holder.balance > 0n)
+          .sort((a, b) => compareUnits(b.balance, a.balance))
           .map(holder => ({
             user: holder.user,
-            user_username: holder.user_username || holder.user.slice(0, 8),
-            balance: Number(holder.balance) / 1e11, // Convert to proper units
-            percentage: (Number(holder.balance) / totalSupply) * 100 // Calculate percentage
-          }))
-          .sort((a, b) => Number(b.balance) - Number(a.balance));
+            user_username: holder.username || holder.user.slice(0, 8),
+            balance: tokensToNumber(holder.balance),
+            percentage: percentage(holder.balance, totalSupply) // Calculate percentage
+          }));
 
         return {
           tokenId: cleanTokenId,
@@ -1400,6 +1514,7 @@ app.get('/api/batch-holders', async (req, res) => {
     res.json(holders);
   } catch (error) {
     console.error('Batch holders error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch batch holders' });
   }
 });
@@ -1412,35 +1527,12 @@ app.get('/api/user/:userId/activity', async (req, res) => {
 
     // Check cache first
     const cacheKey = `user_activity_${userId}_${page}_${limit}_${sort}`;
-    const { data: cachedData } = await getCachedData(cacheKey, CACHE_DURATION);
-
-    if (cachedData) {
-      return res.json(cachedData.data);
-    }
-
-    // Fetch from Odin API
-    const response = await fetch(
-      `https://api.odin.fun/v1/user/${userId}/activity?page=${page}&limit=${limit}&sort=${sort}`,
-      {
-        headers: {
-          ...API_HEADERS,
-          'User-Agent': getRandomUserAgent(),
-        },
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`Odin API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-
-    // Cache the response
-    await cacheData(cacheKey, data, CACHE_DURATION);
+    const result = await cacheServe(cacheKey, { ttl: CACHE_DURATION, tags: [cacheTags.user(userId)] }, () => odinApi.getUserActivity(userId, page, limit, sort));
 
-    res.json(data);
+    sendCached(res, result);
   } catch (error) {
     console.error('User activity fetch error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ 
       error: 'Failed to fetch user activity',
       data: { data: [] } // Return empty array as fallback
@@ -1450,9 +1542,6 @@ app.get('/api/user/:userId/activity', async (req, res) => {
 
 // ... existing code ...
 
-// Add this near the top with other constants
-const IMAGE_BASE_URL = 'https://images.odin.fun';
-
 // Add this new endpoint for image proxying
 app.get('/api/image-proxy', async (req, res) => {
   try {
@@ -1462,18 +1551,7 @@ app.get('/api/image-proxy', async (req, res) => {
       return res.status(400).json({ error: 'URL parameter is required' });
     }
 
-    const imageUrl = `${IMAGE_BASE_URL}${url}`;
-    
-    const response = await fetch(imageUrl, {
-      headers: {
-        'Referer': 'https://odin.fun/',
-        'Origin': 'https://odin.fun'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch image: ${response.statusText}`);
-    }
+    const response = await odinApi.getImage(url);
 
     // Set appropriate headers
     res.set('Content-Type', response.headers.get('content-type'));
@@ -1483,6 +1561,7 @@ app.get('/api/image-proxy', async (req, res) => {
     response.body.pipe(res);
   } catch (error) {
     console.error('Image proxy error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to proxy image' });
   }
 });
@@ -1491,141 +1570,103 @@ app.get('/api/image-proxy', async (req, res) => {
 app.use(cors({
   origin: ['https://odinsmash.com', 'https://odin.fun'],
   credentials: true,
-  exposedHeaders: ['Content-Type', 'Cache-Control']
+  exposedHeaders: ['Content-Type', 'Cache-Control', 'Age', 'X-Cache', 'ETag', 'Last-Modified']
 }));
 
 // ... existing code ...
 
-// Add this helper function to calculate PnL
-const calculateHolderPnL = async (holders, trades, currentPrice, tokenId) => {
+// ?method= of the PnL routes, or the configured default. null when it names no method.
+const pnlMethodOf = (req) => {
+  const method = req.query.method || pnlConfig.method;
+  return PNL_METHODS.includes(method) ? method : null;
+};
+
+// What a holder's PnL is valued at: the token's current price, BTC/USD and the
+// holder's current balance
+const loadHolderMarket = async (holderId, tokenId) => {
+  const [tokenData, holdersData, btcPriceData] = await Promise.all([
+    odinApi.getToken(tokenId),
+    odinApi.getAllTokenHolders(tokenId),
+    odinApi.getBtcPrice()
+  ]);
+  const holder = normalizeHolders(holdersData.data, `token ${tokenId} holders`).find(h => h.user === holderId);
+
+  return {
+    priceBtc: normalizeToken(tokenData)?.priceBtc || 0n,
+    btcUsd: btcPriceData.USD,
+    balance: holder ? holder.balance : 0n
+  };
+};
+
+// PnL report of one holder of a token, replayed from their whole trade history with
+// pnl.js, or null when it can't be worked out. `market` is looked up when not given.
+const calculatePnLForHolder = async (holderId, tokenId, method, market) => {
+  try {
+    const [activityData, inputs] = await Promise.all([
+      odinApi.getAllUserActivity(holderId),
+      market ?? loadHolderMarket(holderId, tokenId)
+    ]);
+
+    const trades = normalizeActivity(activityData.data, `user ${holderId} activity`)
+      .filter(a => a.tokenId === tokenId);
+
+    return calculatePnL(trades, { method, ...inputs });
+  } catch (error) {
+    console.error(`Error calculating PnL of holder ${holderId} in token ${tokenId}:`, error.message);
+    return null;
+  }
+};
+
+// The one cached holder PnL every PnL route reads. Failures aren't cached.
+const serveHolderPnL = (holderId, tokenId, method, market) => cacheServe(
+  `holder_pnl_${method}_${holderId}_${tokenId}`,
+  { ttl: CACHE_DURATION, tags: [cacheTags.user(holderId), cacheTags.token(tokenId)] },
+  () => calculatePnLForHolder(holderId, tokenId, method, market)
+);
+
+// The USD figures list routes show per holder; all zero when the PnL is unknown
+const pnlSummary = (report) => ({
+  avgBuyPrice: report?.avgCost.usd ?? 0,
+  currentValue: report?.usd.marketValue ?? 0,
+  costBasis: report?.usd.costBasis ?? 0,
+  realizedPnl: report?.usd.realized ?? 0,
+  unrealizedPnl: report?.usd.unrealized ?? 0,
+  pnl: report?.usd.total ?? 0
+});
+
+// PnL of the top 10 holders of a token at its current price
+const calculateHolderPnL = async (holders, tokenId, { priceBtc, btcUsd }, method = pnlConfig.method) => {
   try {
-    // First check if current price is valid
-    if (Number(currentPrice.usdPrice) <= 0) {
-      // Try to get last valid price from Supabase
-      const { data: lastValidPrice } = await getCachedData(`valid_prices_${tokenId}`, CACHE_DURATION);
+    // Without a current price fall back to the last valid one
+    if (!priceBtc) {
+      const lastValidPrice = await cacheGet(`valid_prices_${tokenId}`);
 
-      if (lastValidPrice) {
-        currentPrice = lastValidPrice.price_data;
+      if (lastValidPrice.hit && lastValidPrice.value.price_btc) {
+        priceBtc = BigInt(lastValidPrice.value.price_btc);
       } else {
         console.error('No valid price available for token:', tokenId);
         return [];
       }
     } else {
-      // If price is valid, cache it
-      await cacheData(`valid_prices_${tokenId}`, {
+      await cacheSet(`valid_prices_${tokenId}`, {
         token_id: tokenId,
-        price_data: currentPrice,
+        price_btc: priceBtc.toString(),
         updated_at: new Date().toISOString()
-      }, CACHE_DURATION);
+      }, CACHE_DURATION, { tags: [cacheTags.token(tokenId)] });
     }
 
-    const pnlResults = [];
     const top10Holders = [...holders]
-      .sort((a, b) => Number(b.balance) - Number(a.balance))
+      .sort((a, b) => compareUnits(b.balance, a.balance))
       .slice(0, 10);
 
-    // Fetch BTC/USD price
-    const btcPriceResponse = await fetch('https://mempool.space/api/v1/prices');
-    const btcPriceData = await btcPriceResponse.json();
-    const btcUsdPrice = btcPriceData.USD;
-
-    for (const holder of top10Holders) {
-      // Check cache first
-      const { data: cachedHolder } = await getCachedData(`holder_pnl_cache_${holder.user}_${tokenId}`, CACHE_DURATION);
-
-      let avgBuyPriceUSD = cachedHolder?.data?.avgBuyPriceUSD || 0;
-
-      // If avgBuyPriceUSD is 0, try to fetch it
-      if (avgBuyPriceUSD === 0) {
-        const holderData = {
-          holder: holder.user,
-          username: holder.user_username || holder.user,
-          balance: Number(holder.balance), // Keep in raw units
-          totalCostInBTC: 0,
-          totalTokensBought: 0,
-          totalReceived: 0,
-          totalTokensSold: 0,
-          trades: [],
-          activity: []
-        };
-
-        const activityResponse = await fetch(
-          `https://api.odin.fun/v1/user/${holder.user}/activity?page=1&limit=100&sort=time:desc`,
-          { headers: { ...API_HEADERS, 'User-Agent': getRandomUserAgent() } }
-        );
-
-        // Check if the response is not JSON
-        if (!activityResponse.headers.get('content-type')?.includes('application/json')) {
-          const text = await activityResponse.text();
-          console.error('Non-JSON response:', text);
-          continue;
-        }
-
-        const activity = await activityResponse.json();
-        
-        for (const trade of activity.data.filter(a => a.token.id === tokenId)) {
-          const tokenAmount = Number(trade.amount_token); // Keep in raw units
-          const btcAmount = Number(trade.amount_btc) / 1e8; // Convert to BTC
-
-          const tradeInfo = {
-            time: trade.time,
-            type: trade.action.toLowerCase(),
-            tokenAmount,
-            btcAmount
-          };
-
-          if (trade.action === "BUY") {
-            holderData.totalCostInBTC += btcAmount;
-            holderData.totalTokensBought += tokenAmount;
-          } else if (trade.action === "SELL") {
-            holderData.totalReceived += btcAmount;
-            holderData.totalTokensSold += tokenAmount;
-          }
-
-          holderData.trades.push(tradeInfo);
-          holderData.activity.push(trade);
-        }
-
-        // Calculate average buy price in USD per token
-        avgBuyPriceUSD = holderData.totalTokensBought > 0 
-          ? (holderData.totalCostInBTC * btcUsdPrice) / (holderData.totalTokensBought / 1e11) 
-          : 0;
-
-        // Scale down avgBuyPriceUSD by dividing by 1e3
-        avgBuyPriceUSD = avgBuyPriceUSD / 1e3;
-
-        // Cache the result
-        await cacheData(`holder_pnl_cache_${holder.user}_${tokenId}`, {
-          holder_id: holder.user,
-          token_id: tokenId,
-          data: {
-            avgBuyPriceUSD,
-            lastUpdated: new Date().toISOString()
-          }
-        }, CACHE_DURATION);
-      }
-
-      // Calculate current value in USD
-      const currentValueUSD = (Number(holder.balance) / 1e11) * currentPrice.usdPrice;
-
-      // Calculate cost basis in USD
-      const costBasisUSD = (Number(holder.balance) / 1e11) * avgBuyPriceUSD;
-
-      // Calculate PnL in USD
-      const pnlUSD = currentValueUSD - costBasisUSD;
-
-      pnlResults.push({
+    return await Promise.all(top10Holders.map(async (holder) => {
+      const result = await serveHolderPnL(holder.user, tokenId, method, { priceBtc, btcUsd, balance: holder.balance });
+      return {
         holder: holder.user,
-        balance: Number(holder.balance) / 1e11, // Convert to millions
-        avgBuyPrice: avgBuyPriceUSD,
-        currentValue: currentValueUSD,
-        costBasis: costBasisUSD,
-        pnl: pnlUSD
-      });
-    }
-
-    return pnlResults;
-
+        balance: tokensToNumber(holder.balance),
+        ...pnlSummary(result.value)
+      };
+    }));
   } catch (error) {
     console.error('Error calculating PnL:', error);
     return [];
@@ -1635,20 +1676,16 @@ const calculateHolderPnL = async (holders, trades, currentPrice, tokenId) => {
 const calculateEntryPrice = async (userId, tokenId) => {
   try {
     // Get user activity
-    const activityResponse = await fetch(
-      `https://api.odin.fun/v1/user/${userId}/activity?page=1&limit=100&sort=time:desc`
-    );
-    const activity = await activityResponse.json();
+    const activity = await odinApi.getAllUserActivity(userId);
 
     // Get TV feed data
-    const tvFeedResponse = await fetch(
-      `https://api.odin.fun/v1/token/${tokenId}/tv_feed?resolution=1&last=350`
-    );
-    const tvFeedData = await tvFeedResponse.json();
+    const tvFeedData = await odinApi.getTokenTVFeed(tokenId, 1, 350);
+
+    const candles = normalizeCandles(tvFeedData, `token ${tokenId} tv_feed`);
 
     // Find user's buy trades for this token
-    const buyTrades = activity.data.filter(
-      trade => trade.token.id === tokenId && trade.action === "BUY"
+    const buyTrades = normalizeActivity(activity.data, `user ${userId} activity`).filter(
+      trade => trade.tokenId === tokenId && trade.side === "BUY" && trade.amountToken !== null
     );
 
     // Calculate weighted average entry price
@@ -1657,15 +1694,16 @@ const calculateEntryPrice = async (userId, tokenId) => {
 
     buyTrades.forEach(trade => {
       // Find the corresponding candle in the TV feed
-      const tradeTime = new Date(trade.time).getTime() / 1000;
-      const candle = tvFeedData.find(
-        c => c.time <= tradeTime && tradeTime < c.time + 60
+      const tradeTime = trade.time.getTime();
+      const candle = candles.find(
+        c => c.time.getTime() <= tradeTime && tradeTime < c.time.getTime() + 60000
       );
 
       if (candle) {
         // Use the average of open, high, low, and close as the price
+        // Candle prices are already decimals, so the amount only weights them
         const price = (candle.open + candle.high + candle.low + candle.close) / 4;
-        const tokenAmount = Number(trade.amount_token);
+        const tokenAmount = tokensToNumber(trade.amountToken);
         
         totalCost += price * tokenAmount;
         totalTokens += tokenAmount;
@@ -1682,182 +1720,146 @@ const calculateEntryPrice = async (userId, tokenId) => {
   }
 };
 
-// Add this new endpoint for whale activity monitoring
-app.get('/api/whale-activity/:tokenId', async (req, res) => {
-  try {
-    const { tokenId } = req.params;
-    
-    // Check cache first with a longer duration since whale activity doesn't change that frequently
-    const cacheKey = `whale_activity_${tokenId}`;
-    const { data: cachedData } = await getCachedData(cacheKey, 60000);
-
-    if (cachedData?.data) {
-      return res.json(cachedData.data);
-    }
+// Recent large trades and holdings of the top holders of a token
+const buildWhaleActivity = async (tokenId) => {
+  // Fetch token info and owners in parallel with timeout
+  const [tokenResponse, ownersResponse] = await Promise.all([
+    odinApi.getToken(tokenId, { timeout: 5000 }),
+    odinApi.getTokenHolders(tokenId, 1, 5, { timeout: 5000 })
+  ]);
 
-    // Fetch token info and owners in parallel with timeout
-    const [tokenResponse, ownersResponse] = await Promise.all([
-      fetchWithTimeout(`https://api.odin.fun/v1/token/${tokenId}`, {}, 5000),
-      fetchWithTimeout(`https://api.odin.fun/v1/token/${tokenId}/owners?page=1&limit=5`, {}, 5000)
-    ]);
+  if (!tokenResponse || !ownersResponse) {
+    throw new Error('Failed to fetch token data');
+  }
 
-    if (!tokenResponse || !ownersResponse) {
-      throw new Error('Failed to fetch token data');
-    }
+  const tokenInfo = normalizeToken(tokenResponse);
+  const owners = normalizeHolders(ownersResponse.data, `token ${tokenId} owners`);
 
-    // Access the correct data structure from the API response
-    const tokenInfo = tokenResponse;
-    const owners = ownersResponse.data || [];
+  // Calculate whale threshold based on token's volume
+  const volume24h = tokenInfo?.volumeBtc || 0n;
+  const volumeThreshold = volume24h / 100n; // 1% of 24h volume
+  const minimumThreshold = fromDecimal('0.005', BTC_DECIMALS); // Minimum threshold of 0.005 BTC
+  const whaleThreshold = volumeThreshold > minimumThreshold ? volumeThreshold : minimumThreshold;
+  
+  // Get top 5 holders (whales)
+  const whales = [...owners]
+    .sort((a, b) => compareUnits(b.balance, a.balance))
+    .slice(0, 5)
+    .map(holder => holder.user);
+
+  // Fetch all whale activities in parallel with a smaller limit and timeout
+  const whaleActivitiesPromises = whales.map(whaleId => 
+    odinApi.getUserActivity(whaleId, 1, 5, 'time:desc', { timeout: 5000 })
+  );
 
-    // Calculate whale threshold based on token's volume
-    const volume24h = tokenInfo.volume || 0;
-    const WHALE_THRESHOLD_PERCENTAGE = 0.01; // 1% of 24h volume
-    const whaleThresholdBTC = Math.max(
-      (volume24h * WHALE_THRESHOLD_PERCENTAGE),
-      0.005 // Minimum threshold of 0.005 BTC
-    );
-    
-    // Get top 5 holders (whales)
-    const whales = owners
-      .sort((a, b) => b.balance - a.balance)
-      .slice(0, 5)
-      .map(holder => holder.user);
-
-    // Fetch all whale activities in parallel with a smaller limit and timeout
-    const whaleActivitiesPromises = whales.map(whaleId => 
-      fetchWithTimeout(
-        `https://api.odin.fun/v1/user/${whaleId}/activity?page=1&limit=5&sort=time:desc`,
-        {},
-        5000
-      )
-    );
+  const whaleActivities = await Promise.all(whaleActivitiesPromises);
+  const validActivities = whaleActivities.filter(Boolean);
+
+  // Process whale activities
+  const usernames = new Map(owners.map(h => [h.user, h.username]));
+  const allActivities = validActivities
+    .flatMap(data => normalizeActivity(data.data, `token ${tokenId} whale activity`))
+    .filter(activity => 
+      activity.tokenId === tokenId &&
+      activity.side &&
+      activity.amountBtc !== null &&
+      activity.amountBtc >= whaleThreshold
+    )
+    .sort((a, b) => b.time - a.time)
+    .slice(0, 10); // Limit to 10 most recent activities
+
+  // Calculate metrics
+  const buyVolume = sumUnits(allActivities.filter(a => a.side === 'BUY').map(a => a.amountBtc));
+  const sellVolume = sumUnits(allActivities.filter(a => a.side === 'SELL').map(a => a.amountBtc));
+
+  const totalVolume = buyVolume + sellVolume;
+  const buyPercentage = percentage(buyVolume, totalVolume);
+  const sellPercentage = percentage(sellVolume, totalVolume);
+
+  // Format response
+  const response = {
+    buyVsSell: {
+      buys: buyPercentage,
+      sells: sellPercentage,
+      totalVolume: btcToNumber(totalVolume)
+    },
+    holdingsDistribution: {
+      labels: owners.map(h => h.username || h.user.slice(0, 8)),
+      values: owners.map(h => tokensToNumber(h.balance))
+    },
+    recentTrades: allActivities.map(activity => ({
+      type: activity.side.toLowerCase(),
+      amount: btcToNumber(activity.amountBtc),
+      time: activity.time,
+      user: usernames.get(activity.user) || activity.user?.slice(0, 8)
+    }))
+  };
 
-    const whaleActivities = await Promise.all(whaleActivitiesPromises);
-    const validActivities = whaleActivities.filter(Boolean);
-
-    // Process whale activities
-    const WHALE_MIN_BTC = whaleThresholdBTC * 100000000; // Convert to satoshis
-    const allActivities = validActivities
-      .flatMap(data => data.data || [])
-      .filter(activity => 
-        activity.token.id === tokenId &&
-        ['BUY', 'SELL'].includes(activity.action) &&
-        Number(activity.amount_btc) >= WHALE_MIN_BTC
-      )
-      .sort((a, b) => new Date(b.time) - new Date(a.time))
-      .slice(0, 10); // Limit to 10 most recent activities
-
-    // Calculate metrics
-    const buyVolume = allActivities
-      .filter(a => a.action === 'BUY')
-      .reduce((sum, a) => sum + Number(a.amount_btc), 0);
-
-    const sellVolume = allActivities
-      .filter(a => a.action === 'SELL')
-      .reduce((sum, a) => sum + Number(a.amount_btc), 0);
-
-    const totalVolume = buyVolume + sellVolume;
-    const buyPercentage = totalVolume > 0 ? (buyVolume / totalVolume) * 100 : 0;
-    const sellPercentage = totalVolume > 0 ? (sellVolume / totalVolume) * 100 : 0;
-
-    // Format response
-    const response = {
-      buyVsSell: {
-        buys: buyPercentage,
-        sells: sellPercentage,
-        totalVolume: totalVolume / 100000000
-      },
-      holdingsDistribution: {
-        labels: owners.map(h => h.user_username || h.user.slice(0, 8)),
-        values: owners.map(h => h.balance / 100000000)
-      },
-      recentTrades: allActivities.map(activity => ({
-        type: activity.action.toLowerCase(),
-        amount: Number(activity.amount_btc) / 100000000,
-        time: activity.time,
-        user: activity.user_username || activity.user.slice(0, 8)
-      }))
-    };
+  return response;
+};
 
-    // Cache the result for 1 minute
-    await cacheData(cacheKey, response, 60000);
+const serveWhaleActivity = (tokenId) => cacheServe(...tokenCaches.whaleActivity(tokenId));
 
-    res.json(response);
+// Add this new endpoint for whale activity monitoring
+app.get('/api/whale-activity/:tokenId', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    
+    const result = await serveWhaleActivity(tokenId);
+    sendCached(res, result);
   } catch (error) {
     console.error('Whale activity error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch whale activity' });
   }
 });
 
-// Add this endpoint for all tokens
-app.get('/api/all-tokens', async (req, res) => {
-  try {
-    // Try to read from cache file first
-    try {
-      const fileContent = await fs.readFile(TOKENS_CACHE_FILE, 'utf-8');
-      const cacheData = JSON.parse(fileContent);
-      
-      // If cache exists and is not too old
-      if (cacheData && cacheData.lastUpdated && Date.now() - cacheData.lastUpdated < 60000) {
-        console.log('Serving tokens from cache');
-        return res.json({
-          tokenIds: cacheData.tokenIds,
-          data: cacheData.data,
-          pagination: {
-            currentPage: 1,
-            totalTokens: cacheData.tokenIds.length,
-            hasMore: false
-          }
-        });
-      }
-    } catch (err) {
-      console.log('Cache miss or invalid, fetching fresh data');
-    }
+// Every token by volume, as served by /api/all-tokens. Also refreshes the tokens cache file.
+const buildAllTokens = async () => {
+  const data = await odinApi.getAllTokens({ sort: 'volume:desc' });
 
-    // If cache is stale or doesn't exist, fetch fresh data
-    const response = await fetch('https://api.odin.fun/v1/tokens?page=1&limit=99999&sort=volume:desc', {
-      headers: {
-        ...API_HEADERS,
-        'User-Agent': getRandomUserAgent(),
-      }
-    });
+  if (!data || !data.data) {
+    throw new Error('Invalid response format from API');
+  }
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch tokens: ${response.status}`);
-    }
+  const processedData = {
+    tokenIds: data.data.map(t => t.id),
+    data: data.data,
+    lastUpdated: Date.now()
+  };
 
-    const data = await response.json();
-    
-    if (!data || !data.data) {
-      throw new Error('Invalid response format from API');
+  // Update cache file in background
+  fs.writeFile(
+    TOKENS_CACHE_FILE,
+    JSON.stringify(processedData, null, 2)
+  ).catch(console.error);
+
+  return {
+    tokenIds: processedData.tokenIds,
+    data: processedData.data,
+    pagination: {
+      currentPage: 1,
+      totalTokens: processedData.tokenIds.length,
+      hasMore: false
     }
+  };
+};
 
-    const processedData = {
-      tokenIds: data.data.map(t => t.id),
-      data: data.data,
-      lastUpdated: Date.now()
-    };
+const ALL_TOKENS_CACHE_DURATION = 60000; // 1 minute
 
-    // Update cache in background
-    fs.writeFile(
-      TOKENS_CACHE_FILE,
-      JSON.stringify(processedData, null, 2)
-    ).catch(console.error);
-
-    // Send response
-    res.json({
-      tokenIds: processedData.tokenIds,
-      data: processedData.data,
-      pagination: {
-        currentPage: 1,
-        totalTokens: processedData.tokenIds.length,
-        hasMore: false
-      }
-    });
+// The full token walk is shared by the route and the tokens cache refresh through this
+// cache entry, so it runs at most once per ALL_TOKENS_CACHE_DURATION
+const serveAllTokens = () => cacheServe('all_tokens', { ttl: ALL_TOKENS_CACHE_DURATION, tags: [cacheTags.global] }, buildAllTokens);
+
+// Add this endpoint for all tokens
+app.get('/api/all-tokens', async (req, res) => {
+  try {
+    const result = await serveAllTokens();
+    sendCached(res, result);
   } catch (error) {
     console.error('Error in /api/all-tokens:', error);
 
-    // Try to serve stale cache if available
+    // Nothing cached yet: try the tokens cache file, however old
     try {
       const fileContent = await fs.readFile(TOKENS_CACHE_FILE, 'utf-8');
       const cacheData = JSON.parse(fileContent);
@@ -1877,7 +1879,8 @@ app.get('/api/all-tokens', async (req, res) => {
       // If everything fails, return error
       console.error('Failed to read cache file:', err);
     }
-    
+
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ 
       error: 'Failed to fetch token data',
       details: error.message
@@ -1885,103 +1888,99 @@ app.get('/api/all-tokens', async (req, res) => {
   }
 });
 
-// Add a separate endpoint for detailed token metrics
-app.get('/api/token-metrics/:tokenId', async (req, res) => {
-  try {
-    const { tokenId } = req.params;
-    console.log(`Fetching metrics for token: ${tokenId}`);
-    
-    // Check cache first
-    const cacheKey = `token_metrics_${tokenId}`;
-    const { data: cachedMetrics } = await getCachedData(cacheKey, CACHE_DURATION) || {};
-
-    if (cachedMetrics) {
-      console.log('Returning cached metrics');
-      return res.json(cachedMetrics);
-    }
-
-    // Fetch required data in parallel
-    const [tokenResponse, tradesResponse, holdersResponse] = await Promise.all([
-      fetchWithHeaders(`https://api.odin.fun/v1/token/${tokenId}`),
-      fetchWithHeaders(`https://api.odin.fun/v1/token/${tokenId}/trades?page=1&limit=9999`),
-      fetchWithHeaders(`https://api.odin.fun/v1/token/${tokenId}/owners?page=1&limit=99999`)
-    ]);
-
-    if (!tokenResponse || !tradesResponse || !holdersResponse) {
-      throw new Error('Failed to fetch required data');
-    }
-
-    const trades = tradesResponse.data || [];
-    const holders = holdersResponse.data || [];
-    
-    // Calculate current and previous holder counts
-    const now = new Date();
-    const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-    const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-
-    // Get current active holders (balance > 0)
-    const currentHolders = holders.filter(h => Number(h.balance) > 0).length;
-
-    // Get previous day holders by looking at trades
-    const dailyTrades = trades.filter(t => new Date(t.time) > oneDayAgo);
-    const uniqueHoldersBeforeDay = new Set();
-    dailyTrades.forEach(trade => {
-      if (trade.action === "SELL") uniqueHoldersBeforeDay.add(trade.user);
-    });
-    const previousDayHolders = Math.max(currentHolders - uniqueHoldersBeforeDay.size, 0);
+// Holder growth, retention and volume metrics of a token
+const buildTokenMetrics = async (tokenId) => {
+  // Fetch required data in parallel
+  const [tokenResponse, tradesResponse, holdersResponse, btcPriceData] = await Promise.all([
+    odinApi.getToken(tokenId),
+    odinApi.getAllTokenTrades(tokenId),
+    odinApi.getAllTokenHolders(tokenId),
+    odinApi.getBtcPrice()
+  ]);
+
+  if (!tokenResponse || !tradesResponse || !holdersResponse) {
+    throw new Error('Failed to fetch required data');
+  }
 
-    // Get previous week holders
-    const weeklyTrades = trades.filter(t => new Date(t.time) > oneWeekAgo);
-    const uniqueHoldersBeforeWeek = new Set();
-    weeklyTrades.forEach(trade => {
-      if (trade.action === "SELL") uniqueHoldersBeforeWeek.add(trade.user);
-    });
-    const previousWeekHolders = Math.max(currentHolders - uniqueHoldersBeforeWeek.size, 0);
+  const trades = normalizeTrades(tradesResponse.data, `token ${tokenId} trades`);
+  const holders = normalizeHolders(holdersResponse.data, `token ${tokenId} holders`);
+  
+  // Calculate current and previous holder counts
+  const now = new Date();
+  const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
 
-    // Calculate growth rates
-    const dailyGrowthRate = previousDayHolders > 0 
-      ? ((currentHolders - previousDayHolders) / previousDayHolders) * 100 
-      : 0;
+  // Get current active holders (balance > 0)
+  const currentHolders = holders.filter(h => h.balance > 0n).length;
 
-    const weeklyGrowthRate = previousWeekHolders > 0 
-      ? ((currentHolders - previousWeekHolders) / previousWeekHolders) * 100 
-      : 0;
+  // Get previous day holders by looking at trades
+  const dailyTrades = trades.filter(t => t.time > oneDayAgo);
+  const uniqueHoldersBeforeDay = new Set();
+  dailyTrades.forEach(trade => {
+    if (trade.side === "SELL") uniqueHoldersBeforeDay.add(trade.user);
+  });
+  const previousDayHolders = Math.max(currentHolders - uniqueHoldersBeforeDay.size, 0);
 
-    // Calculate retention rate
-    const retentionRate = previousDayHolders > 0 
-      ? (currentHolders / previousDayHolders) * 100 
-      : 100;
-
-    const metrics = {
-      dailyGrowth: {
-        current: currentHolders,
-        previous: previousDayHolders,
-        growthRate: dailyGrowthRate,
-        newHolders: currentHolders - previousDayHolders
-      },
-      weeklyGrowth: {
-        current: currentHolders,
-        previous: previousWeekHolders,
-        growthRate: weeklyGrowthRate,
-        newHolders: currentHolders - previousWeekHolders
-      },
-      retentionRate: Math.min(retentionRate, 100), // Cap at 100%
-      volumeMetrics: calculateVolumeMetrics(trades, tokenResponse.price || 0)
-    };
+  // Get previous week holders
+  const weeklyTrades = trades.filter(t => t.time > oneWeekAgo);
+  const uniqueHoldersBeforeWeek = new Set();
+  weeklyTrades.forEach(trade => {
+    if (trade.side === "SELL") uniqueHoldersBeforeWeek.add(trade.user);
+  });
+  const previousWeekHolders = Math.max(currentHolders - uniqueHoldersBeforeWeek.size, 0);
+
+  // Calculate growth rates
+  const dailyGrowthRate = previousDayHolders > 0 
+    ? ((currentHolders - previousDayHolders) / previousDayHolders) * 100 
+    : 0;
+
+  const weeklyGrowthRate = previousWeekHolders > 0 
+    ? ((currentHolders - previousWeekHolders) / previousWeekHolders) * 100 
+    : 0;
+
+  // Calculate retention rate
+  const retentionRate = previousDayHolders > 0 
+    ? (currentHolders / previousDayHolders) * 100 
+    : 100;
+
+  const metrics = {
+    dailyGrowth: {
+      current: currentHolders,
+      previous: previousDayHolders,
+      growthRate: dailyGrowthRate,
+      newHolders: currentHolders - previousDayHolders
+    },
+    weeklyGrowth: {
+      current: currentHolders,
+      previous: previousWeekHolders,
+      growthRate: weeklyGrowthRate,
+      newHolders: currentHolders - previousWeekHolders
+    },
+    retentionRate: Math.min(retentionRate, 100), // Cap at 100%
+    volumeMetrics: calculateVolumeMetrics(trades, btcPriceData?.USD || 0)
+  };
 
-    // Cache the metrics
-    await cacheData(cacheKey, metrics, CACHE_DURATION);
+  console.log('Computed fresh metrics:', {
+    currentHolders,
+    previousDayHolders,
+    dailyGrowthRate,
+    retentionRate
+  });
 
-    console.log('Sending fresh metrics:', {
-      currentHolders,
-      previousDayHolders,
-      dailyGrowthRate,
-      retentionRate
-    });
+  return metrics;
+};
 
-    res.json(metrics);
+// Add a separate endpoint for detailed token metrics
+app.get('/api/token-metrics/:tokenId', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    console.log(`Fetching metrics for token: ${tokenId}`);
+    
+    const result = await cacheServe(...tokenCaches.metrics(tokenId));
+    sendCached(res, result);
   } catch (error) {
     console.error('Error fetching token metrics:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ 
       error: 'Failed to fetch token metrics',
       details: error.message 
@@ -1997,177 +1996,53 @@ app.get('/api/holder/:holderId/pnl', async (req, res) => {
   const { tokenId } = req.query; // Assume tokenId is passed as a query parameter
 
   try {
-    // Use the same logic as calculateHolderPnL to fetch PnL for a specific holder
-    const pnlData = await calculatePnLForHolder(holderId, tokenId);
+    const method = pnlMethodOf(req);
+    if (!method) {
+      return res.status(400).json({ error: 'Invalid method', message: `method must be one of ${PNL_METHODS.join(', ')}` });
+    }
 
-    res.json({ pnl: pnlData });
+    // The same cached PnL as the holder lists show. When it can't be worked out the
+    // answer is a PnL of 0.
+    const result = await serveHolderPnL(holderId, tokenId, method);
+
+    sendCached(res, { ...result, value: { pnl: result.value?.usd.total ?? 0, ...result.value } });
   } catch (error) {
     console.error(`Error fetching PnL for holder ${holderId}:`, error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch PnL data' });
   }
 });
 
-// Add this new function (do NOT add any new express requires or routes)
-// ... existing code ...
-
-const calculatePnLForHolder = async (holderId, tokenId) => {
-  try {
-    // Check cache first
-    const { data: cachedHolder } = await getCachedData(`holder_pnl_cache_${holderId}_${tokenId}`, CACHE_DURATION);
-
-    if (cachedHolder?.data?.pnl) {
-      console.log('Using cached PnL data for holder:', holderId);
-      return cachedHolder.data.pnl;
-    }
-
-    const holderData = {
-      totalCostInBTC: 0,
-      totalTokensBought: 0,
-      totalReceived: 0,
-      totalTokensSold: 0
-    };
-
-    // Fetch BTC/USD price
-    const btcPriceResponse = await fetch('https://mempool.space/api/v1/prices');
-    const btcPriceData = await btcPriceResponse.json();
-    const btcUsdPrice = btcPriceData.USD;
+// Volume metrics of a token over all of its trades
+const buildTokenVolumeMetrics = async (tokenId) => {
+  // Fetch trades from Odin API
+  const tradesData = await odinApi.getAllTokenTrades(tokenId);
 
-    // Use fetchWithHeaders instead of direct fetch for Odin API
-    const activityData = await fetchWithHeaders(
-      `https://api.odin.fun/v1/user/${holderId}/activity?page=1&limit=100&sort=time:desc`
-    );
-
-    if (!activityData) {
-      console.error('Failed to fetch activity data for holder:', holderId);
-      return 0;
-    }
+  if (!tradesData || !tradesData.data) {
+    throw new Error('Failed to fetch trades data');
+  }
 
-    // Process trades
-    for (const trade of activityData.data.filter(a => a.token.id === tokenId)) {
-      const tokenAmount = Number(trade.amount_token);
-      const btcAmount = Number(trade.amount_btc) / 1e8;
-
-      if (trade.action === "BUY") {
-        holderData.totalCostInBTC += btcAmount;
-        holderData.totalTokensBought += tokenAmount;
-      } else if (trade.action === "SELL") {
-        holderData.totalReceived += btcAmount;
-        holderData.totalTokensSold += tokenAmount;
-      }
-    }
+  const trades = normalizeTrades(tradesData.data, `token ${tokenId} trades`);
 
-    // Rest of the calculation code...
-    
-    // Calculate average buy price in USD per token
-    const avgBuyPriceUSD = holderData.totalTokensBought > 0 
-      ? (holderData.totalCostInBTC * btcUsdPrice) / (holderData.totalTokensBought / 1e11) / 1e3
-      : 0;
-
-    // Use fetchWithHeaders for current price
-    const currentPriceData = await fetchWithHeaders(`https://api.odin.fun/v1/token/${tokenId}`);
-    const currentPrice = currentPriceData ? Number(currentPriceData.price) / 1e8 : 0;
-
-    // Use fetchWithHeaders for balance
-    const holdersData = await fetchWithHeaders(`https://api.odin.fun/v1/token/${tokenId}/owners`);
-    const holder = holdersData?.data?.find(h => h.user === holderId);
-    const currentBalance = holder ? Number(holder.balance) / 1e11 : 0;
-
-    // Calculate PnL
-    const currentValueUSD = currentBalance * currentPrice * btcUsdPrice;
-    const costBasisUSD = currentBalance * avgBuyPriceUSD;
-    const pnlUSD = currentValueUSD - costBasisUSD;
-
-    // Cache the result
-    await cacheData(`holder_pnl_cache_${holderId}_${tokenId}`, {
-      holder_id: holderId,
-      token_id: tokenId,
-      data: {
-        pnl: pnlUSD,
-        avgBuyPriceUSD,
-        lastUpdated: new Date().toISOString()
-      }
-    }, CACHE_DURATION);
+  // Get BTC/USD price
+  const btcPriceData = await odinApi.getBtcPrice();
+  const btcUsdPrice = btcPriceData.USD;
 
-    return pnlUSD;
+  const metrics = calculateVolumeMetrics(trades, btcUsdPrice);
 
-  } catch (error) {
-    console.error('Error calculating PnL for holder:', error);
-    return 0;
-  }
+  return metrics;
 };
 
-// ... existing code ...
-
 // Add this new endpoint for token metrics
 app.get('/api/token/:tokenId/metrics', async (req, res) => {
   try {
     const { tokenId } = req.params;
     
-    // Check cache first
-    const { data: cachedMetrics } = await getCachedData(`token_metrics_cache_${tokenId}`, CACHE_DURATION);
-
-    if (cachedMetrics) {
-      return res.json(cachedMetrics.data);
-    }
-
-    // Fetch trades from Odin API
-    const tradesData = await fetchWithHeaders(
-      `https://api.odin.fun/v1/token/${tokenId}/trades?page=1&limit=9999`
-    );
-
-    if (!tradesData || !tradesData.data) {
-      throw new Error('Failed to fetch trades data');
-    }
-
-    const trades = tradesData.data;
-    const now = new Date();
-    const last24h = new Date(now.getTime() - (24 * 60 * 60 * 1000));
-    const last7d = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-
-    // Calculate 24h metrics
-    const trades24h = trades.filter(tx => new Date(tx.time) > last24h);
-    const buyTrades = trades24h.filter(tx => tx.buy);
-    const sellTrades = trades24h.filter(tx => !tx.buy);
-
-    // Calculate BTC volumes
-    const volume24h = trades24h.reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
-    const buyVolume24h = buyTrades.reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
-    const sellVolume24h = sellTrades.reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
-
-    // Calculate 7d average
-    const trades7d = trades.filter(tx => {
-      const txTime = new Date(tx.time);
-      return txTime > last7d && txTime <= last24h;
-    });
-    const volume7d = trades7d.reduce((sum, tx) => sum + (Number(tx.amount_btc) / 1e8), 0);
-    const averageDailyVolume = volume7d / 6;
-
-    // Get BTC/USD price
-    const btcPriceResponse = await fetch('https://mempool.space/api/v1/prices');
-    const btcPriceData = await btcPriceResponse.json();
-    const btcUsdPrice = btcPriceData.USD;
-
-    const metrics = {
-      volume24h,
-      averageDailyVolume,
-      tradeCount24h: trades24h.length,
-      buyVolume24h,
-      sellVolume24h,
-      buySellRatio: sellVolume24h > 0 ? buyVolume24h / sellVolume24h : 1,
-      spikeRatio: averageDailyVolume > 0 ? volume24h / averageDailyVolume : 1,
-      // Add USD values
-      volume24hUSD: volume24h * btcUsdPrice,
-      averageDailyVolumeUSD: averageDailyVolume * btcUsdPrice,
-      buyVolumeUSD: buyVolume24h * btcUsdPrice,
-      sellVolumeUSD: sellVolume24h * btcUsdPrice
-    };
-
-    // Cache the metrics
-    await cacheData(`token_metrics_cache_${tokenId}`, metrics, CACHE_DURATION);
-
-    res.json(metrics);
+    const result = await cacheServe(`token_metrics_cache_${tokenId}`, { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] }, () => buildTokenVolumeMetrics(tokenId));
+    sendCached(res, result);
   } catch (error) {
     console.error('Token metrics error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch token metrics' });
   }
 });
@@ -2238,162 +2113,45 @@ const MAX_CONCURRENT_REQUESTS = 3; // Limit concurrent API calls
 // Interval moved to bottom of file
 // setInterval(checkForNewTokens, NEW_TOKEN_POLL_INTERVAL);
 
-    // Check cache first
-    app.get('/api/tokens', async (req, res) => {
-      try {
-        // Check cache first
-        const cachedResult = await getCachedData('all_tokens_cache', TOKEN_CACHE_DURATION);
-        if (cachedResult) {
-          console.log('Returning cached tokens');
-          return res.json(cachedResult);
-        }
-    
-        console.log('No valid cache found, fetching from API');
-        // Single API call to get tokens with all needed data
-        const { sort = 'created_time:desc', page = '1', limit = '20' } = req.query;
-        const data = await fetchOdinAPI('/tokens', { sort, page, limit });
-    
-        // Cache the new data
-        await cacheData('all_tokens_cache', data, TOKEN_CACHE_DURATION);
-    
-        res.json(data);
-      } catch (error) {
-        console.error('Tokens fetch error:', error);
-        res.status(500).json({ error: 'Failed to fetch tokens' });
-      }
-    });
 // ... existing code ...
 
-// Add this helper function for fetching with timeout
-const fetchWithTimeout = async (url, options = {}, timeout = 10000) => {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-      headers: {
-        ...API_HEADERS,
-        'User-Agent': getRandomUserAgent(),
-      }
-    });
-
-    clearTimeout(id);
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    clearTimeout(id);
-    throw error;
+// Everything the token dashboard shows, in one payload
+const buildDashboard = async (tokenId) => {
+  // Fetch all required data in parallel
+  const [tokenData, whaleActivity, holdersData, tradesData, btcPriceData] = await Promise.all([
+    odinApi.getToken(tokenId, { timeout: 5000 }),
+    serveWhaleActivity(tokenId).then(result => result.value),
+    odinApi.getAllTokenHolders(tokenId, { timeout: 5000 }),
+    odinApi.getAllTokenTrades(tokenId, { timeout: 5000 }),
+    odinApi.getBtcPrice({ timeout: 5000 })
+  ]);
+
+  if (!tokenData || !whaleActivity || !holdersData || !tradesData) {
+    throw new Error('Failed to fetch required data');
   }
-};
 
-// Update the processTokensInBatches function
-async function processTokensInBatches(tokens, batchSize = BATCH_SIZE) {
-  const results = [];
-  const totalBatches = Math.ceil(tokens.length / batchSize);
-  let processedCount = 0;
-  
-  // Only process first 100 tokens initially
-  const tokensToProcess = tokens.slice(0, INITIAL_TOKEN_LIMIT);
-  const initialBatches = Math.ceil(tokensToProcess.length / batchSize);
-  
-  console.log(`Processing ${tokensToProcess.length} tokens in ${initialBatches} batches...`);
-  
-  for (let i = 0; i < tokensToProcess.length; i += batchSize) {
-    const batch = tokensToProcess.slice(i, i + batchSize);
-    processedCount++;
-    
-    try {
-      const batchResults = await Promise.all(
-        batch.map(async (token) => {
-          try {
-            // Use fetchWithHeaders instead of fetchWithTimeout
-            const data = await fetchWithHeaders(`https://api.odin.fun/v1/token/${token.id}`);
-            if (!data) {
-              console.error(`No data returned for token ${token.id}`);
-              return null;
-            }
-            return {
-              id: token.id,
-              ...data,
-              volumeMetrics: calculateVolumeMetrics(data.trades || [], data.price || 0)
-            };
-          } catch (error) {
-            console.error(`Error processing token ${token.id}:`, error.message);
-            return null;
-          }
-        })
-      );
-      
-      results.push(...batchResults.filter(Boolean));
-      
-      // Log progress every 10 batches
-      if (processedCount % 10 === 0) {
-        const progress = Math.round((processedCount / initialBatches) * 100);
-        console.log(`Progress: ${progress}% (${processedCount}/${initialBatches} batches)`);
-      }
-      
-      // Add delay between batches to prevent rate limiting
-      await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
-      
-    } catch (error) {
-      console.error(`Error processing batch ${processedCount}:`, error.message);
-      // Add longer delay on error
-      await new Promise(resolve => setTimeout(resolve, BATCH_DELAY * 2));
-    }
-  }
-  
-  console.log(`Completed processing ${results.length} tokens`);
-  return results;
-}
+  // Process the data
+  const dashboardData = {
+    token: tokenData,
+    whaleActivity: whaleActivity,
+    holders: holdersData.data || [],
+    trades: tradesData.data || [],
+    metrics: calculateVolumeMetrics(normalizeTrades(tradesData.data, `token ${tokenId} trades`), btcPriceData.USD)
+  };
 
-// ... existing code ...
+  return dashboardData;
+};
 
 // Add the dashboard endpoint
 app.get('/api/dashboard/:tokenId', async (req, res) => {
   try {
     const { tokenId } = req.params;
     
-    // Check cache first
-    const cacheKey = `dashboard_${tokenId}`;
-    const { data: cachedData } = await getCachedData(cacheKey, CACHE_DURATION);
-
-    if (cachedData?.data) {
-      return res.json(cachedData.data);
-    }
-
-    // Fetch all required data in parallel
-    const [tokenData, whaleActivity, holdersData, tradesData] = await Promise.all([
-      fetchWithTimeout(`https://api.odin.fun/v1/token/${tokenId}`, {}, 5000),
-      fetchWithTimeout(`http://localhost:3001/api/whale-activity/${tokenId}`, {}, 5000),
-      fetchWithTimeout(`https://api.odin.fun/v1/token/${tokenId}/owners?page=1&limit=100`, {}, 5000),
-      fetchWithTimeout(`https://api.odin.fun/v1/token/${tokenId}/trades?page=1&limit=9999`, {}, 5000)
-    ]);
-
-    if (!tokenData || !whaleActivity || !holdersData || !tradesData) {
-      throw new Error('Failed to fetch required data');
-    }
-
-    // Process the data
-    const dashboardData = {
-      token: tokenData,
-      whaleActivity: whaleActivity,
-      holders: holdersData.data || [],
-      trades: tradesData.data || [],
-      metrics: calculateVolumeMetrics(tradesData.data || [], btcPriceData.USD)
-    };
-
-    // Cache the result
-    await cacheData(cacheKey, dashboardData, CACHE_DURATION);
-
-    res.json(dashboardData);
+    const result = await cacheServe(`dashboard_${tokenId}`, { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] }, () => buildDashboard(tokenId));
+    sendCached(res, result);
   } catch (error) {
     console.error('Dashboard data error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ 
       error: 'Failed to fetch dashboard data',
       details: error.message
@@ -2402,133 +2160,61 @@ app.get('/api/dashboard/:tokenId', async (req, res) => {
 });
 
 // ... existing code ...
-app.get('/tokens/trending', async (req, res) => {
-  try {
-    // Check cache first
-    const { data: cachedTokens } = await getCachedData('trending_tokens_cache', 30000);
-
-    if (cachedTokens?.data) {
-      return res.json(cachedTokens.data);
-    }
-
-    // Fetch tokens from Odin API sorted by volume
-    const response = await fetch('https://api.odin.fun/v1/tokens?limit=100&sort=volume:desc', {
-      headers: {
-        ...API_HEADERS,
-        'User-Agent': getRandomUserAgent(),
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch tokens: ${response.status}`);
-    }
 
-    const data = await response.json();
-
-    // Get top 5 tokens by volume
-    const trendingTokens = data.data
-      .slice(0, 5)
-      .map(token => ({
-        id: token.id,
-        name: token.name,
-        ticker: token.ticker,
-        price_change_24h: token.price_change_24h || 0,
-        volume: token.volume || 0,
-        trade_count_24h: token.trade_count_24h || 0
-      }));
+// The top 5 tokens by volume
+const buildTrendingTokens = async () => {
+  // Fetch tokens from Odin API sorted by volume
+  const data = await odinApi.getTokens(1, 100, 'volume:desc');
+
+  return data.data
+    .slice(0, 5)
+    .map(token => ({
+      id: token.id,
+      name: token.name,
+      ticker: token.ticker,
+      price_change_24h: token.price_change_24h || 0,
+      volume: token.volume || 0,
+      trade_count_24h: token.trade_count_24h || 0
+    }));
+};
 
-    // Cache the results
-    await cacheData('trending_tokens_cache', { data: trendingTokens }, 30000);
+app.get('/tokens/trending', async (req, res) => {
+  try {
+    const result = await cacheServe('trending_tokens_cache', { ttl: 30000, tags: [cacheTags.global] }, buildTrendingTokens);
 
-    res.json(trendingTokens);
+    sendCached(res, result);
   } catch (error) {
     console.error('Error fetching trending tokens:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json([]);
   }
 }); 
 
 app.get('/btc-price', async (req, res) => {
   try {
-    // Check cache first
-    const cachedPrice = await checkCache('btc_price');
-    if (cachedPrice) {
-      return res.json(cachedPrice);
-    }
-
-    const response = await fetch('https://mempool.space/api/v1/prices', {
-      headers: {
-        'User-Agent': getRandomUserAgent()
-      }
-    });
+    // Cached for 1 minute
+    const result = await cacheServe('btc_price', { ttl: 60000, tags: [cacheTags.global] }, () => odinApi.getBtcPrice());
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch BTC price: ${response.status}`);
-    }
-
-    const data = await response.json();
-    
-    // Cache the price for 1 minute
-    await cacheData('btc_price', data, 60);
-    
-    res.json(data);
+    sendCached(res, result);
   } catch (error) {
     console.error('Error fetching BTC price:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch BTC price' });
   }
 }); 
 
-async function checkCache(key) {
-  try {
-    const data = await getCachedData(key, CACHE_DURATION);
-    return data || null;
-  } catch (error) {
-    console.error('Error checking cache:', error);
-    return null;
-  }
-}
-
-async function getExpiredCache(key) {
-  try {
-    const data = await getCachedData(key, CACHE_DURATION);
-    return data || null;
-  } catch (error) {
-    console.error('Error getting expired cache:', error);
-    return null;
-  }
-}
-
 // ... existing code ...
 
 // Add BTC price endpoint
 app.get('/api/btc-price', async (req, res) => {
   try {
-    // Check cache first
-    const cacheKey = 'btc_price';
-    const { data: cachedPrice } = await getCachedData(cacheKey, 60000) || {};  // 1 minute cache
-
-    if (cachedPrice) {
-      return res.json(cachedPrice);
-    }
-
-    // Fetch from mempool.space API
-    const response = await fetch('https://mempool.space/api/v1/prices', {
-      headers: {
-        'User-Agent': getRandomUserAgent()
-      }
-    });
+    // Check cache first, otherwise fetch from mempool.space API (1 minute cache)
+    const result = await cacheServe('btc_price', { ttl: 60000, tags: [cacheTags.global] }, () => odinApi.getBtcPrice());
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch BTC price: ${response.status}`);
-    }
-
-    const data = await response.json();
-    
-    // Cache the price
-    await cacheData(cacheKey, data, 60000);
-    
-    res.json(data);
+    sendCached(res, result);
   } catch (error) {
     console.error('Error fetching BTC price:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ 
       error: 'Failed to fetch BTC price',
       message: error.message 
@@ -2539,107 +2225,124 @@ app.get('/api/btc-price', async (req, res) => {
 // ... existing code ...
 
 // ... existing code ...
-// Add this new endpoint for holder growth metrics
-app.get('/api/token-metrics/:tokenId/holder-growth', async (req, res) => {
-  try {
-    const { tokenId } = req.params;
-    console.log(`Fetching holder growth metrics for token: ${tokenId}`);
+const HOLDER_SNAPSHOT_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// The kept holder snapshot of a token, replaced by one of `holders` (canonical holder
+// records that hold a balance) when there is none yet or it is holderSnapshotConfig.interval
+// old. Resolves to the snapshot from before the call, or null.
+const rollHolderSnapshot = async (tokenId, holders) => {
+  const historicalKey = `historical_holders_${tokenId}`;
+  const historicalResult = await cacheGet(historicalKey);
+  const historicalData = historicalResult.hit ? historicalResult.value : null;
+
+  const age = historicalData ? Date.now() - Date.parse(historicalData.lastUpdated) : Infinity;
+  if (!(age < holderSnapshotConfig.interval)) {
+    const newHistoricalData = {
+      dailyHolders: holders.length,
+      weeklyHolders: historicalData?.weeklyHolders || holders.length,
+      totalHolders: holders.length,
+      holderIds: holders.map(holder => holder.user),
+      lastUpdated: new Date().toISOString()
+    };
+    await cacheSet(historicalKey, newHistoricalData, HOLDER_SNAPSHOT_TTL, { tags: [cacheTags.token(tokenId)] });
+  }
+  return historicalData;
+};
 
-    // Check cache first with proper null handling
-    const cacheKey = `holder_growth_${tokenId}`;
-    const cachedResult = await getCachedData(cacheKey, CACHE_DURATION);
-    const cachedData = cachedResult?.data;
+// Percentage of the snapshot's holders no longer among `holders`; null without a
+// snapshot old enough to tell
+const holderChurnSince = (snapshot, holders) => {
+  if (!snapshot?.holderIds?.length || Date.now() - Date.parse(snapshot.lastUpdated) < holderSnapshotConfig.minChurnAge) {
+    return null;
+  }
+  const current = new Set(holders.map(holder => holder.user));
+  const lost = snapshot.holderIds.filter(user => !current.has(user)).length;
+  return (100 * lost) / snapshot.holderIds.length;
+};
 
-    if (cachedData) {
-      console.log('Returning cached holder growth data');
-      return res.json(cachedData);
-    }
+// Daily and weekly holder growth of a token against its kept holder snapshot
+const buildHolderGrowth = async (tokenId) => {
+  // Fetch current holders
+  const holdersResponse = await odinApi.getAllTokenHolders(tokenId);
+  if (!holdersResponse || !holdersResponse.data) {
+    throw new Error('Failed to fetch holders data');
+  }
 
-    // Fetch current holders
-    const holdersResponse = await fetchWithHeaders(`https://api.odin.fun/v1/token/${tokenId}/owners?page=1&limit=9999`);
-    if (!holdersResponse || !holdersResponse.data) {
-      throw new Error('Failed to fetch holders data');
-    }
+  const holders = normalizeHolders(holdersResponse.data, `token ${tokenId} holders`)
+    .filter(holder => holder.balance > 0n);
 
-    // Get token data for creation time
-    const tokenResponse = await fetchWithHeaders(`https://api.odin.fun/v1/token/${tokenId}`);
-    if (!tokenResponse) {
-      throw new Error('Failed to fetch token data');
-    }
+  // Get token data for creation time
+  const token = normalizeToken(await odinApi.getToken(tokenId));
 
-    const currentHolders = holdersResponse.data.length;
-    const creationTime = new Date(tokenResponse.created_time);
-    const now = new Date();
-    const daysSinceCreation = Math.max(1, Math.floor((now - creationTime) / (24 * 60 * 60 * 1000)));
-
-    // Calculate metrics
-    const holderGrowthMetrics = {
-      dailyGrowth: {
-        current: currentHolders,
-        previous: currentHolders,
-        growthRate: 0,
-        newHolders: 0
-      },
-      weeklyGrowth: {
-        current: currentHolders,
-        previous: currentHolders,
-        growthRate: 0,
-        newHolders: 0
-      },
-      retentionRate: 100
-    };
+  const currentHolders = holders.length;
+  const creationTime = token?.createdTime || new Date();
+  const now = new Date();
+  const daysSinceCreation = Math.max(1, Math.floor((now - creationTime) / (24 * 60 * 60 * 1000)));
+
+  // Calculate metrics
+  const holderGrowthMetrics = {
+    dailyGrowth: {
+      current: currentHolders,
+      previous: currentHolders,
+      growthRate: 0,
+      newHolders: 0
+    },
+    weeklyGrowth: {
+      current: currentHolders,
+      previous: currentHolders,
+      growthRate: 0,
+      newHolders: 0
+    },
+    retentionRate: 100
+  };
 
-    // Try to get historical data from cache with proper null handling
-    const historicalKey = `historical_holders_${tokenId}`;
-    const historicalResult = await getCachedData(historicalKey);
-    const historicalData = historicalResult?.data;
-
-    if (historicalData) {
-      // Calculate daily growth
-      if (historicalData.dailyHolders) {
-        holderGrowthMetrics.dailyGrowth.previous = historicalData.dailyHolders;
-        holderGrowthMetrics.dailyGrowth.newHolders = currentHolders - historicalData.dailyHolders;
-        holderGrowthMetrics.dailyGrowth.growthRate = historicalData.dailyHolders > 0 
-          ? ((currentHolders - historicalData.dailyHolders) / historicalData.dailyHolders) * 100 
-          : 0;
-      }
+  // Compare against the kept snapshot, rolling it over once it is old enough
+  const historicalData = await rollHolderSnapshot(tokenId, holders);
 
-      // Calculate weekly growth
-      if (historicalData.weeklyHolders) {
-        holderGrowthMetrics.weeklyGrowth.previous = historicalData.weeklyHolders;
-        holderGrowthMetrics.weeklyGrowth.newHolders = currentHolders - historicalData.weeklyHolders;
-        holderGrowthMetrics.weeklyGrowth.growthRate = historicalData.weeklyHolders > 0 
-          ? ((currentHolders - historicalData.weeklyHolders) / historicalData.weeklyHolders) * 100 
-          : 0;
-      }
+  if (historicalData) {
+    // Calculate daily growth
+    if (historicalData.dailyHolders) {
+      holderGrowthMetrics.dailyGrowth.previous = historicalData.dailyHolders;
+      holderGrowthMetrics.dailyGrowth.newHolders = currentHolders - historicalData.dailyHolders;
+      holderGrowthMetrics.dailyGrowth.growthRate = historicalData.dailyHolders > 0 
+        ? ((currentHolders - historicalData.dailyHolders) / historicalData.dailyHolders) * 100 
+        : 0;
+    }
 
-      // Calculate retention rate
-      if (historicalData.totalHolders > 0) {
-        const retainedHolders = holdersResponse.data.filter(holder => 
-          historicalData.holderIds.includes(holder.user)
-        ).length;
-        holderGrowthMetrics.retentionRate = (retainedHolders / historicalData.totalHolders) * 100;
-      }
+    // Calculate weekly growth
+    if (historicalData.weeklyHolders) {
+      holderGrowthMetrics.weeklyGrowth.previous = historicalData.weeklyHolders;
+      holderGrowthMetrics.weeklyGrowth.newHolders = currentHolders - historicalData.weeklyHolders;
+      holderGrowthMetrics.weeklyGrowth.growthRate = historicalData.weeklyHolders > 0 
+        ? ((currentHolders - historicalData.weeklyHolders) / historicalData.weeklyHolders) * 100 
+        : 0;
     }
 
-    // Update historical data
-    const newHistoricalData = {
-      dailyHolders: currentHolders,
-      weeklyHolders: historicalData?.weeklyHolders || currentHolders,
-      totalHolders: currentHolders,
-      holderIds: holdersResponse.data.map(holder => holder.user),
-      lastUpdated: new Date().toISOString()
-    };
+    // Calculate retention rate
+    if (historicalData.totalHolders > 0) {
+      const retainedHolders = holders.filter(holder => 
+        historicalData.holderIds.includes(holder.user)
+      ).length;
+      holderGrowthMetrics.retentionRate = (retainedHolders / historicalData.totalHolders) * 100;
+    }
+  }
 
-    // Cache the results
-    await cacheData(cacheKey, holderGrowthMetrics, CACHE_DURATION);
-    await cacheData(historicalKey, newHistoricalData, 7 * 24 * 60 * 60 * 1000); // Cache historical data for 7 days
+  console.log('Computed fresh holder growth metrics:', holderGrowthMetrics);
+  return holderGrowthMetrics;
+};
+
+// Add this new endpoint for holder growth metrics
+app.get('/api/token-metrics/:tokenId/holder-growth', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    console.log(`Fetching holder growth metrics for token: ${tokenId}`);
 
-    console.log('Sending fresh holder growth metrics:', holderGrowthMetrics);
-    res.json(holderGrowthMetrics);
+    const result = await cacheServe(`holder_growth_${tokenId}`, { ttl: CACHE_DURATION, tags: [cacheTags.token(tokenId)] }, () => buildHolderGrowth(tokenId));
+    sendCached(res, result);
 
   } catch (error) {
     console.error('Error fetching holder growth:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ 
       error: 'Failed to fetch holder growth metrics',
       message: error.message,
@@ -2648,147 +2351,102 @@ app.get('/api/token-metrics/:tokenId/holder-growth', async (req, res) => {
   }
 });
 
-// Add this near other endpoints
-app.get('/api/token/:tokenId/holders-pnl', async (req, res) => {
-  try {
-    const { tokenId } = req.params;
-    
-    // Check cache first with a shorter duration for active development
-    const cacheKey = `holders_pnl_${tokenId}`;
-    const cachedResult = await getCachedData(cacheKey, CACHE_DURATION);
+// PnL of the top 20 holders of a token
+const buildHoldersPnL = async (tokenId, method) => {
+  // Fetch required data in parallel with timeouts
+  const [holdersResponse, btcPriceResponse, tokenResponse] = await Promise.all([
+    odinApi.getAllTokenHolders(tokenId, { timeout: 3000 }),
+    odinApi.getBtcPrice({ timeout: 2000 }).catch(() => null),
+    odinApi.getToken(tokenId, { timeout: 3000 })
+  ]);
+
+  if (!holdersResponse?.data) {
+    console.error('No holders data received from Odin API');
+    return { data: [] };
+  }
 
-    if (cachedResult?.data) {
-      console.log('Returning cached holders PnL data');
-      return res.json(cachedResult);
-    }
+  // Holders are returned as Odin sent them, so keep the validated balances on the side
+  const balances = new Map(
+    normalizeHolders(holdersResponse.data, `token ${tokenId} holders`).map(h => [h.user, h.balance])
+  );
 
-    // Fetch required data in parallel with timeouts
-    const [holdersResponse, btcPriceResponse, tokenResponse] = await Promise.all([
-      fetchWithTimeout(`https://api.odin.fun/v1/token/${tokenId}/owners?page=1&limit=100`, {}, 3000),
-      fetchWithTimeout('https://mempool.space/api/v1/prices', {}, 2000),
-      fetchWithTimeout(`https://api.odin.fun/v1/token/${tokenId}`, {}, 3000)
-    ]);
+  // Filter out holders with zero balance and sort by balance
+  const activeHolders = holdersResponse.data
+    .filter(h => balances.get(h.user) > 0n)
+    .sort((a, b) => compareUnits(balances.get(b.user), balances.get(a.user)))
+    .slice(0, 20); // Only process top 20 holders for performance
 
-    if (!holdersResponse?.data) {
-      console.error('No holders data received from Odin API');
-      return res.json({ data: [] });
-    }
+  console.log(`Processing ${activeHolders.length} active holders out of ${holdersResponse.data.length} total`);
+  
+  if (activeHolders.length === 0) {
+    console.log('Token has no active holders');
+    return { data: [] };
+  }
 
-    // Filter out holders with zero balance and sort by balance
-    const activeHolders = holdersResponse.data
-      .filter(h => Number(h.balance) > 0)
-      .sort((a, b) => Number(b.balance) - Number(a.balance))
-      .slice(0, 20); // Only process top 20 holders for performance
+  const btcUsdPrice = btcPriceResponse?.USD || 0;
+  const tokenData = normalizeToken(tokenResponse);
+  const currentPriceBTC = tokenData?.priceBtc || 0n;
 
-    console.log(`Processing ${activeHolders.length} active holders out of ${holdersResponse.data.length} total`);
-    
-    if (activeHolders.length === 0) {
-      console.log('Token has no active holders');
-      return res.json({ data: [] });
-    }
+  // Create a map for quick holder lookup
+  const holderMap = new Map(activeHolders.map(h => [h.user, h]));
 
-    const btcUsdPrice = btcPriceResponse.ok ? (await btcPriceResponse.json()).USD : 0;
-    const tokenData = tokenResponse;
-    const currentPriceBTC = Number(tokenData.price) / 1e8;
-    const currentPriceUSD = currentPriceBTC * btcUsdPrice;
-
-    // Create a map for quick holder lookup
-    const holderMap = new Map(activeHolders.map(h => [h.user, h]));
-
-    // Process holders in parallel with a concurrency limit
-    const concurrencyLimit = 5;
-    const processHolderBatch = async (holders) => {
-      const results = [];
-      for (let i = 0; i < holders.length; i += concurrencyLimit) {
-        const batch = holders.slice(i, i + concurrencyLimit);
-        const batchResults = await Promise.all(
-          batch.map(async (holder) => {
-            try {
-              // Check holder cache first
-              const holderCacheKey = `holder_pnl_${holder.user}_${tokenId}`;
-              const cachedHolder = await getCachedData(holderCacheKey, CACHE_DURATION);
-              
-              if (cachedHolder?.data?.pnl !== undefined) {
-                return {
-                  ...holder,
-                  pnl: cachedHolder.data.pnl,
-                  isTrustedDev: TRUSTED_DEVELOPERS.includes(holder.user)
-                };
-              }
-
-              // Fetch only last 50 trades for efficiency
-              const activityResponse = await fetchWithTimeout(
-                `https://api.odin.fun/v1/user/${holder.user}/activity?page=1&limit=50&sort=time:desc`,
-                {},
-                3000
-              );
-
-              if (!activityResponse?.data) {
-                return { 
-                  ...holder, 
-                  pnl: 0,
-                  isTrustedDev: TRUSTED_DEVELOPERS.includes(holder.user)
-                };
-              }
-
-              // Filter trades for this token and calculate metrics
-              const trades = activityResponse.data.filter(trade => trade.token.id === tokenId);
-              let totalCostBTC = 0;
-              let totalTokensBought = 0;
-
-              for (const trade of trades) {
-                if (trade.action === "BUY") {
-                  totalCostBTC += Number(trade.amount_btc) / 1e8;
-                  totalTokensBought += Number(trade.amount_token) / 1e11;
-                }
-              }
-
-              const avgBuyPriceBTC = totalTokensBought > 0 
-                ? totalCostBTC / totalTokensBought 
-                : currentPriceBTC;
-
-              const currentHoldings = Number(holder.balance) / 1e11;
-              const costBasisUSD = (avgBuyPriceBTC * btcUsdPrice * currentHoldings) / 1e3;
-              const currentValueUSD = (currentPriceUSD * currentHoldings) / 1e3;
-              const pnlUSD = currentValueUSD - costBasisUSD;
-
-              // Cache individual holder PnL
-              await cacheData(holderCacheKey, {
-                data: {
-                  pnl: pnlUSD,
-                  lastUpdated: new Date().toISOString()
-                }
-              }, CACHE_DURATION);
-
-              return {
-                ...holder,
-                pnl: pnlUSD,
-                isTrustedDev: TRUSTED_DEVELOPERS.includes(holder.user)
-              };
-            } catch (error) {
-              console.error(`Error processing holder ${holder.user}:`, error);
-              return { 
-                ...holder, 
-                pnl: 0,
-                isTrustedDev: TRUSTED_DEVELOPERS.includes(holder.user)
-              };
-            }
-          })
-        );
-        results.push(...batchResults);
-      }
-      return results;
-    };
+  const registry = await getDeveloperRegistry();
+
+  // Process holders in parallel with a concurrency limit
+  const concurrencyLimit = 5;
+  const processHolderBatch = async (holders) => {
+    const results = [];
+    for (let i = 0; i < holders.length; i += concurrencyLimit) {
+      const batch = holders.slice(i, i + concurrencyLimit);
+      const batchResults = await Promise.all(
+        batch.map(async (holder) => {
+          try {
+            const result = await serveHolderPnL(holder.user, tokenId, method, {
+              priceBtc: currentPriceBTC,
+              btcUsd: btcUsdPrice,
+              balance: balances.get(holder.user)
+            });
+
+            return {
+              ...holder,
+              ...pnlSummary(result.value),
+              isTrustedDev: registry.get(holder.user)?.status === 'trusted',
+              developerStatus: registry.get(holder.user)?.status ?? null
+            };
+          } catch (error) {
+            console.error(`Error processing holder ${holder.user}:`, error);
+            return { 
+              ...holder, 
+              pnl: 0,
+              isTrustedDev: registry.get(holder.user)?.status === 'trusted',
+              developerStatus: registry.get(holder.user)?.status ?? null
+            };
+          }
+        })
+      );
+      results.push(...batchResults);
+    }
+    return results;
+  };
 
-    const holdersWithPnL = await processHolderBatch(activeHolders);
-    const result = { data: holdersWithPnL };
+  const holdersWithPnL = await processHolderBatch(activeHolders);
+  return { data: holdersWithPnL };
+};
 
-    // Cache the final result
-    await cacheData(cacheKey, result, CACHE_DURATION);
+// Add this near other endpoints
+app.get('/api/token/:tokenId/holders-pnl', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const method = pnlMethodOf(req);
+    if (!method) {
+      return res.status(400).json({ error: 'Invalid method', message: `method must be one of ${PNL_METHODS.join(', ')}`, data: [] });
+    }
 
-    res.json(result);
+    const result = await cacheServe(...tokenCaches.holdersPnL(tokenId, method));
+    sendCached(res, result);
   } catch (error) {
     console.error('Holders PnL error:', error);
+    if (sendCircuitOpen(res, error)) return;
     res.status(500).json({ 
       error: 'Failed to fetch holders PnL',
       message: error.message,
@@ -2801,120 +2459,115 @@ app.get('/api/token/:tokenId/holders-pnl', async (req, res) => {
 const TOKENS_CACHE_FILE = path.join(process.cwd(), 'tokens-cache.json');
 const TOKENS_UPDATE_INTERVAL = 30000; // 30 seconds
 
-// Add this function to handle token updates
+// Keep the all-tokens list loaded. It reuses the cached walk behind /api/all-tokens,
+// whose rebuilds also rewrite the tokens cache file.
 async function updateTokensCache() {
   try {
-    // Fetch latest tokens with correct endpoint
-    const response = await fetch('https://api.odin.fun/v1/tokens?page=1&limit=99999&sort=volume:desc', {
-      headers: {
-        ...API_HEADERS,
-        'User-Agent': getRandomUserAgent(),
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch tokens: ${response.status}`);
-    }
-
-    const newData = await response.json();
-    
-    if (!newData || !newData.data) {
-      throw new Error('Invalid response format from API');
-    }
-
-    const processedData = {
-      tokenIds: newData.data.map(t => t.id),
-      data: newData.data,
-      lastUpdated: Date.now()
-    };
-
-    // Read existing cache
-    let existingData = { tokenIds: [], data: [], lastUpdated: 0 };
-    try {
-      const fileContent = await fs.readFile(TOKENS_CACHE_FILE, 'utf-8');
-      existingData = JSON.parse(fileContent);
-    } catch (err) {
-      // File doesn't exist or is invalid, will create new one
-      console.log('No existing cache found, creating new cache file');
-    }
-
-    // Check if we have new tokens
-    const newTokenIds = new Set(processedData.tokenIds);
-    const oldTokenIds = new Set(existingData.tokenIds);
-    const hasNewTokens = processedData.tokenIds.some(id => !oldTokenIds.has(id));
-    const hasRemovedTokens = existingData.tokenIds.some(id => !newTokenIds.has(id));
-
-    if (hasNewTokens || hasRemovedTokens || !existingData.lastUpdated) {
-      console.log('New or removed tokens detected, updating cache...');
-      // Update cache file
-      await fs.writeFile(
-        TOKENS_CACHE_FILE,
-        JSON.stringify(processedData, null, 2)
-      );
-      console.log('Cache updated successfully');
-    } else {
-      console.log('No new tokens detected, cache is up to date');
-    }
+    await serveAllTokens();
   } catch (error) {
     console.error('Error updating tokens cache:', error);
   }
 }
 
-// Start background update process when server starts
-setInterval(updateTokensCache, TOKENS_UPDATE_INTERVAL);
-// Also update immediately when server starts
-updateTokensCache().catch(console.error);
+// Top tokens by volume, from the cached all-tokens list, or the tokens cache file while
+// that can't be loaded
+const readTopTokenIds = async () => {
+  try {
+    const { value } = await serveAllTokens();
+    return value.tokenIds;
+  } catch (error) {
+    console.error('Top tokens from the tokens cache file:', error.message);
+  }
+  try {
+    const { tokenIds } = JSON.parse(await fs.readFile(TOKENS_CACHE_FILE, 'utf-8'));
+    return Array.isArray(tokenIds) ? tokenIds : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Per-token results the cache warmer keeps loaded for the top tokens
+const cacheWarmJob = {
+  getTokenIds: readTopTokenIds,
+  tasks: Object.fromEntries(Object.entries(tokenCaches).map(([name, spec]) => [name, tokenId => cacheWarm(...spec(tokenId))]))
+};
+
+// Start background update process when server starts. The full token list is a batch
+// job, so its upstream requests give way to user requests.
+setInterval(() => runInBackground(updateTokensCache), TOKENS_UPDATE_INTERVAL);
+// Also update immediately when server starts, then warm the cache for the top tokens
+// unless warming is switched off
+runInBackground(updateTokensCache)
+  .then(() => (isCacheWarmEnabled() ? warmCache(cacheWarmJob) : null))
+  .catch(console.error);
+
+// Sweep expired and least recently used cache entries in the background
+startCacheSweeper();
+
+// Keep the top tokens warm in the background
+startCacheWarmer(cacheWarmJob);
 
 // Add these endpoints after the existing ones
 
+// Developer and top holder shares of the total supply, plus the concentration measures
+// of the distribution endpoint, over a token's full holder list
+const holderConcentration = (holders, { creator, totalSupply }) => {
+    const devHolder = holders.find(h => h.user === creator);
+    const devBalance = devHolder ? devHolder.balance : 0n;
+
+    const sortedHolders = [...holders].sort((a, b) => compareUnits(b.balance, a.balance));
+    const top5Balance = sumUnits(sortedHolders.slice(0, 5).map(h => h.balance));
+    const { gini, hhi, nakamoto, effectiveHolders } = calculateDistribution(holders);
+
+    return {
+        devBalance,
+        devPercentage: percentage(devBalance, totalSupply || 0n),
+        top5Balance,
+        top5Percentage: percentage(top5Balance, totalSupply || 0n),
+        gini,
+        hhi,
+        nakamoto,
+        effectiveHolders
+    };
+};
+
 // 1. Endpoint for fetching tokens with risk assessment
 app.get('/api/safe-tokens', async (req, res) => {
     try {
-        const response = await fetch('https://api.odin.fun/v1/tokens?page=1&limit=100&sort=created_time:desc', {
-            headers: API_HEADERS
-        });
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch tokens: ${response.status}`);
-        }
-
-        const data = await response.json();
+        const data = await odinApi.getTokens(1, 100, 'created_time:desc');
         const tokens = data.data || [];
+        const registry = await getDeveloperRegistry();
 
         // Add risk assessment for each token
         const tokensWithRisk = await Promise.all(tokens.map(async (token) => {
             try {
-                // Fetch holders data
-                const holdersResponse = await fetch(
-                    `https://api.odin.fun/v1/token/${token.id}/owners?page=1&limit=100`,
-                    { headers: API_HEADERS }
-                );
-                const holdersData = await holdersResponse.json();
-                const holders = holdersData.data || [];
-
-                // Calculate risk metrics
-                const devHolder = holders.find(h => h.user === token.creator);
-                const devBalance = devHolder ? Number(devHolder.balance) : 0;
-                const devPercentage = (devBalance / Number(token.total_supply)) * 100;
-
-                const sortedHolders = [...holders].sort((a, b) => Number(b.balance) - Number(a.balance));
-                const top5Balance = sortedHolders.slice(0, 5).reduce((sum, h) => sum + Number(h.balance), 0);
-                const top5Percentage = (top5Balance / Number(token.total_supply)) * 100;
-
-                // Determine risk level
-                let riskLevel = 'high';
-                if (devPercentage >= 5 || top5Percentage >= 20) {
-                    riskLevel = 'low';
-                } else if (devPercentage >= 2 || top5Percentage >= 10) {
-                    riskLevel = 'guarded';
-                }
+                // Every holder, so the measures match the distribution endpoint
+                const holdersData = await odinApi.getAllTokenHolders(token.id);
+                const holders = normalizeHolders(holdersData.data, `token ${token.id} holders`);
+                const { creator, totalSupply } = normalizeToken(token) || {};
+                const { devPercentage, top5Percentage, gini, hhi, nakamoto } = holderConcentration(holders, { creator, totalSupply });
+
+                // Same rules as the token analysis, on what the listing has to offer
+                const risk = assessRisk({
+                    devPercentage,
+                    top5Percentage,
+                    gini,
+                    hhi,
+                    nakamoto,
+                    creatorStanding: standingRisk(registry.get(creator))
+                });
 
                 return {
                     ...token,
-                    riskLevel,
+                    riskLevel: risk.key,
+                    riskScore: risk.score,
+                    risk,
                     metrics: {
                         devPercentage,
                         top5Percentage,
+                        gini,
+                        hhi,
+                        nakamoto,
                         holderCount: holders.length
                     }
                 };
@@ -2927,6 +2580,7 @@ app.get('/api/safe-tokens', async (req, res) => {
         res.json(tokensWithRisk);
     } catch (error) {
         console.error('Error fetching safe tokens:', error);
+        if (sendCircuitOpen(res, error)) return;
         res.status(500).json({ error: 'Failed to fetch safe tokens' });
     }
 });
@@ -2936,146 +2590,116 @@ app.get('/api/token/:tokenId/holders-metrics', async (req, res) => {
     try {
         const { tokenId } = req.params;
         
-        // Fetch holders data
-        const holdersResponse = await fetch(
-            `https://api.odin.fun/v1/token/${tokenId}/owners?page=1&limit=100`,
-            { headers: API_HEADERS }
-        );
-        
-        if (!holdersResponse.ok) {
-            throw new Error(`Failed to fetch holders: ${holdersResponse.status}`);
-        }
-
-        const holdersData = await holdersResponse.json();
+        // Fetch holders data, and the token for its creator and supply (the owners
+        // listing carries neither)
+        const [holdersData, tokenData] = await Promise.all([
+            odinApi.getAllTokenHolders(tokenId),
+            odinApi.getToken(tokenId)
+        ]);
         const holders = holdersData.data || [];
+        const balances = normalizeHolders(holders, `token ${tokenId} holders`);
+        const { creator, totalSupply } = normalizeToken(tokenData) || {};
 
         // Calculate metrics
-        const devHolder = holders.find(h => h.user === holdersData.creator);
-        const devBalance = devHolder ? Number(devHolder.balance) : 0;
-        const totalSupply = Number(holdersData.total_supply);
-        const devPercentage = (devBalance / totalSupply) * 100;
-
-        const sortedHolders = [...holders].sort((a, b) => Number(b.balance) - Number(a.balance));
-        const top5Balance = sortedHolders.slice(0, 5).reduce((sum, h) => sum + Number(h.balance), 0);
-        const top5Percentage = (top5Balance / totalSupply) * 100;
+        const { devBalance, devPercentage, top5Balance, top5Percentage, gini, hhi, nakamoto, effectiveHolders } =
+            holderConcentration(balances, { creator, totalSupply });
 
         res.json({
             holders,
+            complete: holdersData.complete,
             metrics: {
                 devPercentage,
                 top5Percentage,
+                gini,
+                hhi,
+                nakamoto,
+                effectiveHolders,
                 holderCount: holders.length,
-                devBalance,
-                top5Balance
+                devBalance: tokensToNumber(devBalance),
+                top5Balance: tokensToNumber(top5Balance)
             }
         });
     } catch (error) {
         console.error('Error fetching holder metrics:', error);
+        if (sendCircuitOpen(res, error)) return;
         res.status(500).json({ error: 'Failed to fetch holder metrics' });
     }
 });
 
-// 3. Endpoint for token price updates
-app.get('/api/token/:tokenId/price', async (req, res) => {
-    try {
-        const { tokenId } = req.params;
-        
-        // Fetch token data
-        const response = await fetch(`https://api.odin.fun/v1/token/${tokenId}`, {
-            headers: API_HEADERS
-        });
+// Price of a token in BTC and USD, polled by the frontends
+const buildTokenUsdPrice = async (tokenId) => {
+    // Fetch token data
+    const tokenData = normalizeToken(await odinApi.getToken(tokenId));
 
-        if (!response.ok) {
-            throw new Error(`Failed to fetch token: ${response.status}`);
-        }
+    // Get BTC price
+    const btcPriceData = await odinApi.getBtcPrice();
+    const btcUsdPrice = btcPriceData.USD;
 
-        const tokenData = await response.json();
-        
-        // Get BTC price
-        const btcPriceResponse = await fetch('https://mempool.space/api/v1/prices');
-        const btcPriceData = await btcPriceResponse.json();
-        const btcUsdPrice = btcPriceData.USD;
+    // Calculate price in USD
+    const btcPrice = btcToNumber(tokenData?.priceBtc);
+    const usdPrice = btcPrice * btcUsdPrice;
 
-        // Calculate price in USD
-        const btcPrice = Number(tokenData.price) / 1e8;
-        const usdPrice = btcPrice * btcUsdPrice;
+    return {
+        btcPrice,
+        tokenPrice: btcPrice,
+        usdPrice: usdPrice.toFixed(8)
+    };
+};
 
-        res.json({
-            btcPrice,
-            tokenPrice: btcPrice,
-            usdPrice: usdPrice.toFixed(8)
-        });
+// 3. Endpoint for token price updates
+app.get('/api/token/:tokenId/price', async (req, res) => {
+    try {
+        const { tokenId } = req.params;
+        const result = await cacheServe(`token_usd_price_${tokenId}`, { ttl: 5000, tags: [cacheTags.token(tokenId)] }, () => buildTokenUsdPrice(tokenId));
+        sendCached(res, result);
     } catch (error) {
         console.error('Error fetching token price:', error);
+        if (sendCircuitOpen(res, error)) return;
         res.status(500).json({ error: 'Failed to fetch token price' });
     }
 });
 
-// 4. Add rate limiting middleware
-// ... existing code ...
+// Chart times are unix seconds (as in tv_feed) or anything Date.parse accepts. Returns
+// ms, undefined when absent, or NaN when unreadable.
+const parseChartTime = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+};
 
-// Add this new endpoint for creator tokens
-app.get('/api/user/:userId/created', async (req, res) => {
+// OHLCV bars built from the token's trades, in BTC and USD
+app.get('/api/token/:tokenId/candles', async (req, res) => {
   try {
-    const { userId } = req.params;
-    console.log(`Fetching created tokens for user: ${userId}`);
-
-    // Check cache first
-    const cacheKey = `user_created_${userId}`;
-    const cachedData = await getCachedData(cacheKey, CACHE_DURATION);
-    
-    if (cachedData?.data) {
-      console.log('Returning cached creator tokens');
-      return res.json(cachedData.data);
+    const { tokenId } = req.params;
+    const resolution = req.query.resolution || '1m';
+    const from = parseChartTime(req.query.from);
+    const to = parseChartTime(req.query.to);
+
+    if (!RESOLUTIONS[resolution]) {
+      return res.status(400).json({
+        error: 'Invalid resolution',
+        message: `resolution must be one of ${Object.keys(RESOLUTIONS).join(', ')}`
+      });
     }
-
-    // Fetch from Odin API
-    const response = await fetch(`https://api.odin.fun/v1/user/${userId}/created`, {
-      headers: {
-        ...API_HEADERS,
-        'User-Agent': getRandomUserAgent(),
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch creator tokens: ${response.status}`);
+    if (Number.isNaN(from) || Number.isNaN(to) || (from !== undefined && to !== undefined && from > to)) {
+      return res.status(400).json({
+        error: 'Invalid range',
+        message: 'from and to must be unix seconds or dates, with from before to'
+      });
     }
 
-    const data = await response.json();
-    
-    // Process the data to match expected format
-    const processedData = {
-      data: data.data || [],
-      page: data.page || 1,
-      limit: data.limit || 100,
-      count: data.count || 0
-    };
-
-    // Cache the result
-    await cacheData(cacheKey, processedData, CACHE_DURATION);
-
-    console.log(`Found ${processedData.data.length} tokens created by ${userId}`);
-    res.json(processedData);
+    const cacheKey = `candles_${tokenId}_${resolution}_${from ?? ''}_${to ?? ''}`;
+    const result = await cacheServe(cacheKey, { ttl: 15000, tags: [cacheTags.token(tokenId)] }, () => getCandles(tokenId, { resolution, from, to }));
+    sendCached(res, result);
   } catch (error) {
-    console.error('Error fetching creator tokens:', error);
-    // Return a valid response even on error
-    res.json({
-      data: [],
-      page: 1,
-      limit: 100,
-      count: 0
-    });
+    console.error('Error fetching candles:', error);
+    if (sendCircuitOpen(res, error)) return;
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.status(500).json({ error: 'Failed to fetch candles' });
   }
 });
 
+// 4. Add rate limiting middleware
 // ... existing code ...
 
-// Add this near the top after imports
-const API_HEADERS = {
-  'authority': 'api.odin.fun',
-  'accept': '*/*',
-  'accept-language': 'en-US,en;q=0.9',
-  'origin': 'https://tools.humanz.fun',
-  'referer': 'https://tools.humanz.fun/',
-  'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36'
-};
@@ -0,0 +1,117 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// SQLite storage backend: every collection lives in one indexed table of a single
+// database file, written in WAL mode so reads never wait on writes. better-sqlite3 is
+// an optional dependency and is only loaded when this backend is selected.
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS entries (
+    collection TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    expires_at INTEGER,
+    updated_at INTEGER NOT NULL,
+    accessed_at INTEGER,
+    PRIMARY KEY (collection, key)
+  );
+  CREATE INDEX IF NOT EXISTS entries_expires_at ON entries (expires_at) WHERE expires_at IS NOT NULL;
+`;
+
+const loadDriver = async () => {
+  try {
+    const { default: Database } = await import('better-sqlite3');
+    return Database;
+  } catch (error) {
+    const missing = new Error('The sqlite storage backend needs the better-sqlite3 package (npm install better-sqlite3)');
+    missing.cause = error;
+    throw missing;
+  }
+};
+
+export const createSqliteStore = async ({ filename }) => {
+  const Database = await loadDriver();
+  await fs.mkdir(path.dirname(filename), { recursive: true });
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    get: db.prepare('SELECT value, expires_at AS expiresAt FROM entries WHERE collection = ? AND key = ?'),
+    touch: db.prepare('UPDATE entries SET accessed_at = ? WHERE collection = ? AND key = ?'),
+    set: db.prepare(`
+      INSERT INTO entries (collection, key, value, expires_at, updated_at, accessed_at) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (collection, key) DO UPDATE SET
+        value = excluded.value, expires_at = excluded.expires_at,
+        updated_at = excluded.updated_at, accessed_at = excluded.accessed_at
+    `),
+    delete: db.prepare('DELETE FROM entries WHERE collection = ? AND key = ?'),
+    deleteExpired: db.prepare(`
+      DELETE FROM entries WHERE collection = ? AND expires_at IS NOT NULL AND expires_at <= ?
+      RETURNING length(CAST(value AS BLOB)) AS size
+    `),
+    usage: db.prepare(`
+      SELECT key, length(CAST(value AS BLOB)) AS size, coalesce(accessed_at, updated_at) AS accessedAt
+      FROM entries WHERE collection = ? AND (expires_at IS NULL OR expires_at > ?)
+    `),
+    list: db.prepare('SELECT key FROM entries WHERE collection = ? AND (expires_at IS NULL OR expires_at > ?) ORDER BY key'),
+    scan: db.prepare(`
+      SELECT key, value, expires_at AS expiresAt, updated_at AS updatedAt FROM entries
+      WHERE collection = ? AND substr(key, 1, length(?)) = ? AND (expires_at IS NULL OR expires_at > ?)
+      ORDER BY key
+    `)
+  };
+
+  return {
+    name: 'sqlite',
+
+    get: async (collection, key) => {
+      const row = statements.get.get(collection, key);
+      if (!row) return null;
+      if (row.expiresAt !== null && row.expiresAt <= Date.now()) {
+        statements.delete.run(collection, key);
+        return null;
+      }
+      statements.touch.run(Date.now(), collection, key);
+      return JSON.parse(row.value);
+    },
+
+    set: async (collection, key, value, { ttl } = {}) => {
+      const now = Date.now();
+      statements.set.run(collection, key, JSON.stringify(value), ttl ? now + ttl : null, now, now);
+    },
+
+    delete: async (collection, key) => {
+      statements.delete.run(collection, key);
+    },
+
+    list: async (collection) => {
+      return statements.list.all(collection, Date.now()).map(row => row.key);
+    },
+
+    scan: async (collection, { prefix = '' } = {}) => {
+      const now = Date.now();
+      statements.deleteExpired.all(collection, now);
+      return statements.scan.all(collection, prefix, prefix, now).map(row => ({
+        key: row.key,
+        value: JSON.parse(row.value),
+        expiresAt: row.expiresAt,
+        updatedAt: row.updatedAt
+      }));
+    },
+
+    sweepExpired: async (collection) => {
+      const rows = statements.deleteExpired.all(collection, Date.now());
+      return { removed: rows.length, bytes: rows.reduce((sum, row) => sum + row.size, 0) };
+    },
+
+    usage: async (collection) => {
+      return statements.usage.all(collection, Date.now());
+    },
+
+    close: async () => {
+      db.close();
+    }
+  };
+};